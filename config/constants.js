@@ -7,6 +7,9 @@ exports.USER_ROLES = {
   KENTIBA_BIRO: "kentiba_biro",
 }
 
+// Role carried by tokens issued to anonymous reporters. Not a User role.
+exports.ANONYMOUS_REPORTER_ROLE = "anonymous_reporter"
+
 // Stakeholder office types
 exports.OFFICE_TYPES = {
   TRADE_OFFICE: "trade_office",
@@ -26,6 +29,21 @@ exports.OFFICE_TYPES = {
   OTHER: "other",
 }
 
+// Short codes of the sub-cities used in complaint reference numbers, e.g. AA-BOLE-W03-2026-000123
+exports.KIFLEKETEMA_CODES = {
+  "Lemi Kura": "LEMI",
+  Arada: "ARADA",
+  "Addis Ketema": "ADDIS",
+  Lideta: "LIDETA",
+  Kirkos: "KIRKOS",
+  Yeka: "YEKA",
+  Bole: "BOLE",
+  "Akaky Kaliti": "AKAKY",
+  "Nifas Silk-Lafto": "NSL",
+  "Kolfe Keranio": "KOLFE",
+  Gulele: "GULELE",
+}
+
 // Admin registration codes
 exports.ADMIN_REGISTRATION_CODES = {
   wereda_anti_corruption: "wereda-code-123",
@@ -58,15 +76,124 @@ exports.COMPLAINT_STATUS = {
   IN_PROGRESS: "in_progress",
   RESOLVED: "resolved",
   ESCALATED: "escalated",
+  AWAITING_CITIZEN: "awaiting_citizen",
+  CLOSED: "closed",
+  WITHDRAWN: "withdrawn",
 }
 
-// Escalation timeframes (in milliseconds)
+// Statuses a complaint does not leave on its own. Resolved complaints can still be reopened.
+exports.FINAL_COMPLAINT_STATUSES = ["resolved", "closed", "withdrawn"]
+
+// Calendar days after resolution during which the citizen can reopen a complaint
+exports.REOPEN_WINDOW_DAYS = 30
+
+// Calendar days after resolution before the citizen is asked the follow-up satisfaction survey
+exports.SATISFACTION_FOLLOW_UP_DAYS = 7
+
+// Who may see evidence a handler attaches to a response
+exports.ATTACHMENT_VISIBILITY = {
+  CITIZEN: "citizen",
+  INTERNAL: "internal",
+}
+
+// How the citizen answered a response: accepted it, rejected it, or escalated past it
+exports.RESPONSE_OUTCOMES = {
+  ACCEPTED: "accepted",
+  REJECTED: "rejected",
+  ESCALATED: "escalated",
+}
+
+// Minutes a signed attachment download link stays valid
+exports.ATTACHMENT_URL_TTL_MINUTES = 5
+
+// Working days a citizen has to answer a request for more information before the complaint is closed
+exports.INFORMATION_REQUEST_REPLY_DAYS = 10
+
+// Progress of a Kentiba Biro directive at the office it orders to act
+exports.DIRECTIVE_STATUS = {
+  ISSUED: "issued",
+  ACKNOWLEDGED: "acknowledged",
+  COMPLETED: "completed",
+}
+
+// Working days an office has to carry out a directive when Kentiba Biro sets no deadline
+exports.DIRECTIVE_DEFAULT_WORKING_DAYS = 10
+
+// Decimal places of the complaint coordinates shown outside the handling office (2 is about 1 km),
+// so a map pin placed at the reporter's home does not point to them
+exports.GEO_PRIVACY_DECIMALS = 2
+
+// Escalation timeframes (in working days, see WORKING_CALENDAR)
 exports.ESCALATION_TIMEFRAMES = {
-  STAKEHOLDER_RESPONSE: 3 * 24 * 60 * 60 * 1000, // 3 days
-  WEREDA_RESPONSE: 5 * 24 * 60 * 60 * 1000, // 5 days
-  KIFLEKETEMA_RESPONSE: 7 * 24 * 60 * 60 * 1000, // 7 days
+  STAKEHOLDER_RESPONSE: 3, // 3 working days
+  WEREDA_RESPONSE: 5, // 5 working days
+  KIFLEKETEMA_RESPONSE: 7, // 7 working days
 }
 
+// Shorter timeframes for complaints of critical priority (in working days)
+exports.CRITICAL_ESCALATION_TIMEFRAMES = {
+  STAKEHOLDER_RESPONSE: 1,
+  WEREDA_RESPONSE: 2,
+  KIFLEKETEMA_RESPONSE: 3,
+}
+
+// Triage priority of a complaint
+exports.COMPLAINT_PRIORITIES = {
+  LOW: "low",
+  MEDIUM: "medium",
+  HIGH: "high",
+  CRITICAL: "critical",
+}
+
+// Order of the priorities in handler queues, most urgent highest
+exports.PRIORITY_RANKS = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4,
+}
+
+// People hit hardest when a service is withheld for a bribe, flagged by the reporter
+exports.VULNERABLE_GROUPS = {
+  ELDERLY: "elderly",
+  PERSON_WITH_DISABILITY: "person_with_disability",
+  CHILD: "child",
+  PREGNANT_WOMAN: "pregnant_woman",
+  EMERGENCY_PATIENT: "emergency_patient",
+  LOW_INCOME: "low_income",
+}
+
+// Working calendar used to compute response deadlines
+exports.WORKING_CALENDAR = {
+  // Days of the week offices are open (0 = Sunday ... 6 = Saturday)
+  WORKING_DAYS: [1, 2, 3, 4, 5],
+  // Office hours in local time (HH:mm)
+  OFFICE_HOURS: {
+    START: "08:30",
+    END: "17:30",
+  },
+  // Addis Ababa local time is UTC+3 all year
+  UTC_OFFSET_MINUTES: 180,
+}
+
+// Public holidays that fall on the same Gregorian date every year (MM-DD).
+// Movable feasts (Fasika, Siklet, Eid al-Fitr, Eid al-Adha, Mawlid) are loaded per year through the admin API.
+exports.FIXED_PUBLIC_HOLIDAYS = [
+  { name: "Adwa Victory Day", monthDay: "03-02" },
+  { name: "International Labour Day", monthDay: "05-01" },
+  { name: "Patriots' Victory Day", monthDay: "05-05" },
+  { name: "Downfall of the Derg", monthDay: "05-28" },
+]
+
+// Public holidays on a fixed day of the Ethiopian calendar (month 1 is Meskerem). Their Gregorian date
+// moves by a day around Ethiopian leap years. Genna moves to Tahsas 28 in the year after a leap year.
+exports.ETHIOPIAN_CALENDAR_HOLIDAYS = [
+  { name: "Enkutatash (Ethiopian New Year)", month: 1, day: 1 },
+  { name: "Meskel (Finding of the True Cross)", month: 1, day: 17 },
+  { name: "Genna (Ethiopian Christmas)", month: 4, day: 29, dayAfterLeapYear: 28 },
+  { name: "Timket (Epiphany)", month: 5, day: 11 },
+]
+
 // Blog post categories
 exports.BLOG_CATEGORIES = {
   ANNOUNCEMENT: "announcement",
@@ -76,3 +203,56 @@ exports.BLOG_CATEGORIES = {
   OTHER: "other",
 }
 
+
+// Complaint timeline event types
+exports.COMPLAINT_EVENT_TYPES = {
+  SUBMITTED: "submitted",
+  EDITED: "edited",
+  RESPONDED: "responded",
+  ESCALATED: "escalated",
+  ACCEPTED: "accepted",
+  RESPONSE_REJECTED: "response_rejected",
+  ATTACHMENT_ADDED: "attachment_added",
+  INFORMATION_REQUESTED: "information_requested",
+  INFORMATION_PROVIDED: "information_provided",
+  CLOSED: "closed",
+  MARKED_DUPLICATE: "marked_duplicate",
+  UNMARKED_DUPLICATE: "unmarked_duplicate",
+  RESOLVED_WITH_MASTER: "resolved_with_master",
+  GROUPED: "grouped",
+  UNGROUPED: "ungrouped",
+  ASSIGNED: "assigned",
+  TRANSFERRED: "transferred",
+  WITHDRAWN: "withdrawn",
+  REOPENED: "reopened",
+  FOLLOW_UP_REQUESTED: "follow_up_requested",
+  FOLLOW_UP_ANSWERED: "follow_up_answered",
+  DIRECTIVE_ISSUED: "directive_issued",
+  DIRECTIVE_ACKNOWLEDGED: "directive_acknowledged",
+  DIRECTIVE_COMPLETED: "directive_completed",
+  DIRECTIVE_OVERDUE: "directive_overdue",
+  PRIORITY_CHANGED: "priority_changed",
+}
+
+// How an office hands new complaints to its officers
+exports.ASSIGNMENT_STRATEGIES = {
+  ROUND_ROBIN: "round_robin",
+  FEWEST_OPEN: "fewest_open",
+}
+
+// Case group status
+exports.CASE_GROUP_STATUS = {
+  OPEN: "open",
+  CLOSED: "closed",
+}
+
+// Reasons a citizen can give when rejecting a handler's response
+exports.RESPONSE_REJECTION_REASONS = {
+  NOT_ADDRESSED: "not_addressed",
+  INCOMPLETE: "incomplete",
+  INACCURATE: "inaccurate",
+  NO_ACTION_TAKEN: "no_action_taken",
+  UNCLEAR: "unclear",
+  OTHER: "other",
+}
+
@@ -1,23 +1,37 @@
 const jwt = require("jsonwebtoken")
+const { ANONYMOUS_REPORTER_ROLE } = require("../config/constants")
 
-module.exports = (req, res, next) => {
-  // Get token from header
-  const token = req.header("Authorization")?.replace("Bearer ", "")
+// Build the middleware checking the request's token. Anonymous reporter tokens only unlock their own
+// complaint, so they are refused unless `allowAnonymousReporter` is set.
+const authenticate =
+  ({ allowAnonymousReporter }) =>
+  (req, res, next) => {
+    // Get token from header
+    const token = req.header("Authorization")?.replace("Bearer ", "")
 
-  // Check if no token
-  if (!token) {
-    return res.status(401).json({ message: "No token, authorization denied" })
-  }
+    // Check if no token
+    if (!token) {
+      return res.status(401).json({ message: "No token, authorization denied" })
+    }
+
+    try {
+      // Verify token
+      const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
-  try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+      if (decoded.user.role === ANONYMOUS_REPORTER_ROLE && !allowAnonymousReporter) {
+        return res.status(401).json({ message: "Token is not valid" })
+      }
 
-    // Add user from payload
-    req.user = decoded.user
-    next()
-  } catch (err) {
-    res.status(401).json({ message: "Token is not valid" })
+      // Add user from payload
+      req.user = decoded.user
+      next()
+    } catch (err) {
+      res.status(401).json({ message: "Token is not valid" })
+    }
   }
-}
+
+module.exports = authenticate({ allowAnonymousReporter: false })
+
+// Like auth, but also accepts the tokens issued to anonymous reporters for their own complaint
+module.exports.allowAnonymousReporter = authenticate({ allowAnonymousReporter: true })
 
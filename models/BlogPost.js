@@ -20,7 +20,14 @@ const BlogPostSchema = new mongoose.Schema({
     default: "announcement",
   },
   tags: [String],
+  // Storage key of the featured image, see utils/storage
   featuredImage: String,
+  featuredImageStorage: {
+    type: String,
+    enum: ["local", "s3"],
+    default: "local",
+  },
+  featuredImageType: String,
   isPublished: {
     type: Boolean,
     default: true,
@@ -0,0 +1,83 @@
+const mongoose = require("mongoose")
+
+// A set of complaints about the same official or pattern that a handler works on as one case.
+// Each complaint keeps its own stage, status and citizen; the group only coordinates them.
+const CaseGroupSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+  },
+  // The handler level currently working the group. Moves up when the group is escalated.
+  handlerRole: {
+    type: String,
+    enum: ["wereda_anti_corruption", "kifleketema_anti_corruption", "kentiba_biro"],
+    required: true,
+  },
+  kifleketema: {
+    type: String,
+  },
+  wereda: {
+    type: String,
+  },
+  complaints: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Complaint",
+    },
+  ],
+  // Responses sent to every complaint in the group at once
+  responses: [
+    {
+      responder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      responderRole: {
+        type: String,
+      },
+      response: {
+        type: String,
+        required: true,
+      },
+      internalComment: {
+        type: String,
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  status: {
+    type: String,
+    enum: ["open", "closed"],
+    default: "open",
+  },
+  // Set once the resolving office has been credited for the group, so it is credited once, not per complaint
+  resolutionCredited: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  closedAt: {
+    type: Date,
+  },
+})
+
+module.exports = mongoose.model("CaseGroup", CaseGroupSchema)
+
@@ -1,10 +1,92 @@
 const mongoose = require("mongoose")
+const { computeDueDate } = require("../utils/complaintWorkflow")
+const { generateReference } = require("../utils/complaintReference")
+
+// A file uploaded with a complaint. Downloaded through the API by id; where it is stored stays private.
+const AttachmentSchema = new mongoose.Schema(
+  {
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    // Storage backend holding the file, see utils/storage
+    storageBackend: {
+      type: String,
+      enum: ["local", "s3"],
+      default: "local",
+    },
+    originalName: String,
+    mimeType: String,
+    size: Number,
+    sha256: String,
+    // Set for images and PDFs by utils/uploadProcessing
+    width: Number,
+    height: Number,
+    pageCount: Number,
+    // JPEG thumbnail and preview stored next to the file
+    thumbnailKey: String,
+    previewKey: String,
+    // Empty for anonymous reporters
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    uploaderRole: String,
+    // Response evidence can be kept to the handling offices. Citizen uploads are always visible.
+    visibility: {
+      type: String,
+      enum: ["citizen", "internal"],
+      default: "citizen",
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.storageKey
+        delete ret.storageBackend
+        delete ret.thumbnailKey
+        delete ret.previewKey
+        return ret
+      },
+    },
+  },
+)
 
 const ComplaintSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
+    required: function () {
+      // Anonymous complaints never store the reporter
+      return !this.isAnonymous
+    },
+  },
+  // Reference number citizens can read out or write down, e.g. AA-BOLE-W03-2026-000123
+  reference: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  // Anonymous whistleblower complaints are followed up with a tracking code and passphrase
+  isAnonymous: {
+    type: Boolean,
+    default: false,
+  },
+  // Only handed to the reporter when the complaint is created. Together with the passphrase it is
+  // their only way in, so it is never read back.
+  trackingCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false,
+  },
+  passphraseHash: {
+    type: String,
+    select: false,
   },
   title: {
     type: String,
@@ -14,6 +96,59 @@ const ComplaintSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // What kind of corruption is being reported
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ComplaintCategory",
+  },
+  subCategory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ComplaintCategory",
+  },
+  // Money demanded or lost, in Birr, as stated by the reporter
+  amountInvolved: {
+    type: Number,
+    min: 0,
+  },
+  // Vulnerable groups the reporter says are affected
+  vulnerableGroups: [
+    {
+      type: String,
+      enum: ["elderly", "person_with_disability", "child", "pregnant_woman", "emergency_patient", "low_income"],
+    },
+  ],
+  // Automatic severity score (0-100) and what contributed to it, see utils/severity
+  severity: {
+    score: {
+      type: Number,
+      default: 0,
+    },
+    factors: [String],
+    scoredAt: Date,
+  },
+  // Priority set by a handler. Takes the place of the one derived from the severity score.
+  priorityOverride: {
+    level: {
+      type: String,
+      enum: ["low", "medium", "high", "critical"],
+    },
+    reason: String,
+    setBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    setAt: Date,
+  },
+  // Triage priority in effect, and its rank for sorting handler queues (see PRIORITY_RANKS)
+  priority: {
+    type: String,
+    enum: ["low", "medium", "high", "critical"],
+    default: "medium",
+  },
+  priorityRank: {
+    type: Number,
+    default: 2,
+  },
   // The office this complaint is directed to
   stakeholderOffice: {
     type: mongoose.Schema.Types.ObjectId,
@@ -40,18 +175,51 @@ const ComplaintSchema = new mongoose.Schema({
     enum: ["stakeholder_office", "wereda_anti_corruption", "kifleketema_anti_corruption", "kentiba_biro"],
     default: "stakeholder_office",
   },
+  // Office account of the current handler level, e.g. the wereda office of the complaint's area
+  handlerOffice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Officer of the current handler office who owns the complaint. Cleared when it changes level.
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  assignedAt: {
+    type: Date,
+  },
+  // Supervisor who assigned the complaint. Empty for automatic assignment.
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
   status: {
     type: String,
-    enum: ["pending", "in_progress", "resolved", "escalated"],
+    enum: ["pending", "in_progress", "resolved", "escalated", "awaiting_citizen", "closed", "withdrawn"],
     default: "pending",
   },
   location: {
     type: String,
     required: true,
   },
-  attachments: {
-    type: [String],
+  // Map pin of the place the complaint is about, as a GeoJSON point: coordinates are [longitude, latitude]
+  geoLocation: {
+    type: {
+      type: String,
+      enum: ["Point"],
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+    },
+  },
+  kifleketema: {
+    type: String,
+  },
+  wereda: {
+    type: String,
   },
+  attachments: [AttachmentSchema],
   // Timestamps for escalation tracking
   submittedAt: {
     type: Date,
@@ -84,7 +252,36 @@ const ComplaintSchema = new mongoose.Schema({
       },
       to: {
         type: String,
-        enum: ["wereda_anti_corruption", "kifleketema_anti_corruption", "kentiba_biro"],
+        enum: ["stakeholder_office", "wereda_anti_corruption", "kifleketema_anti_corruption", "kentiba_biro"],
+      },
+      fromStage: String,
+      toStage: String,
+      reason: String,
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  // Reroutes of a misdirected complaint from one stakeholder office to another
+  transferHistory: [
+    {
+      fromOffice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      toOffice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      fromStage: String,
+      transferredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      transferredByRole: {
+        type: String,
+        enum: ["stakeholder_office", "wereda_anti_corruption"],
       },
       reason: String,
       date: {
@@ -104,18 +301,125 @@ const ComplaintSchema = new mongoose.Schema({
         type: String,
         enum: ["stakeholder_office", "wereda_anti_corruption", "kifleketema_anti_corruption", "kentiba_biro"],
       },
+      // Office account the responder works for; performance is credited to the office
+      responderOffice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
       response: String,
       status: {
         type: String,
-        enum: ["pending", "in_progress", "resolved", "escalated"],
+        enum: ["pending", "in_progress", "resolved", "escalated", "awaiting_citizen", "closed", "withdrawn"],
       },
       internalComment: String,
+      // Response template the text was written from, for the template usage statistics
+      template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ResponseTemplate",
+      },
+      // Set when the citizen accepts, rejects or escalates past this response
+      outcome: {
+        type: String,
+        enum: ["accepted", "rejected", "escalated"],
+      },
+      // Evidence of the action taken, e.g. a refund receipt or meeting minutes
+      attachments: [AttachmentSchema],
+      // Set when the citizen rejects this response
+      rejection: {
+        category: {
+          type: String,
+          enum: ["not_addressed", "incomplete", "inaccurate", "no_action_taken", "unclear", "other"],
+        },
+        reason: String,
+        rejectedAt: Date,
+      },
       createdAt: {
         type: Date,
         default: Date.now,
       },
     },
   ],
+  // Requests from handlers for more information. While one is open the response clock is paused.
+  informationRequests: [
+    {
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      requesterRole: {
+        type: String,
+        enum: ["stakeholder_office", "wereda_anti_corruption", "kifleketema_anti_corruption", "kentiba_biro"],
+      },
+      stage: String,
+      question: String,
+      requestedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      // Status to return to once the citizen answers
+      previousStatus: String,
+      // Working minutes left on the stage deadline when the clock was paused
+      remainingMinutes: Number,
+      replyDueAt: Date,
+      reply: String,
+      // Ids of the complaint attachments sent with the reply
+      attachments: [mongoose.Schema.Types.ObjectId],
+      answeredAt: Date,
+      closedAt: Date,
+    },
+  ],
+  // Binding instructions from Kentiba Biro to a lower office to take a corrective action
+  directives: [
+    {
+      issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      // Office account ordered to act, and the level it works at
+      targetOffice: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      targetRole: {
+        type: String,
+        enum: ["stakeholder_office", "wereda_anti_corruption", "kifleketema_anti_corruption"],
+        required: true,
+      },
+      instruction: {
+        type: String,
+        required: true,
+      },
+      status: {
+        type: String,
+        enum: ["issued", "acknowledged", "completed"],
+        default: "issued",
+      },
+      issuedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      dueAt: {
+        type: Date,
+        required: true,
+      },
+      acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      acknowledgedAt: Date,
+      // The office's report of what it did, with evidence such as a revoked permit or a refund receipt
+      completionReport: String,
+      evidence: [AttachmentSchema],
+      completedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      completedAt: Date,
+      // Set by the scheduler when the deadline passed before completion
+      overdueAt: Date,
+    },
+  ],
   // Final resolution details
   resolution: {
     resolvedBy: {
@@ -126,9 +430,65 @@ const ComplaintSchema = new mongoose.Schema({
       type: String,
       enum: ["stakeholder_office", "wereda_anti_corruption", "kifleketema_anti_corruption", "kentiba_biro"],
     },
+    // Office account credited with the resolution
+    resolverOffice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
     resolution: String,
+    // Ids of the citizen-visible evidence attached to the accepted response
+    evidence: [mongoose.Schema.Types.ObjectId],
     resolvedAt: Date,
+    // Whether resolvedComplaints was incremented for this resolution, so a reopen can reverse it
+    credited: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  // The citizen's view of the outcome: a rating when accepting and a follow-up survey a week later
+  satisfaction: {
+    rating: {
+      type: Number,
+      min: 1,
+      max: 5,
+    },
+    feedback: String,
+    ratedAt: Date,
+    followUp: {
+      sentAt: Date,
+      rating: {
+        type: Number,
+        min: 1,
+        max: 5,
+      },
+      feedback: String,
+      answeredAt: Date,
+    },
   },
+  // Set when the citizen withdraws the complaint, e.g. after settling it informally
+  withdrawal: {
+    reason: String,
+    withdrawnAt: Date,
+  },
+  // Resolutions the citizen undid by reopening the complaint
+  reopenHistory: [
+    {
+      reason: String,
+      previousResolution: {
+        resolvedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        resolverRole: String,
+        resolution: String,
+        resolvedAt: Date,
+      },
+      reopenedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   updatedAt: {
     type: Date,
     default: Date.now,
@@ -141,25 +501,50 @@ const ComplaintSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "Complaint",
   },
+  // Set when a handler marks this complaint as a duplicate of relatedComplaint (the master case)
+  isDuplicate: {
+    type: Boolean,
+    default: false,
+  },
+  duplicateMarkedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  duplicateMarkedAt: {
+    type: Date,
+  },
   secondStageComplaint: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Complaint",
   },
+  // Case group a handler placed this complaint in, if any
+  caseGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "CaseGroup",
+  },
 })
 
+// Full-text search over what the citizen wrote and what handlers answered
+ComplaintSchema.index({ title: "text", description: "text", "responses.response": "text" })
+
+// Map queries. Complaints without a pin are left out of the index.
+ComplaintSchema.index({ geoLocation: "2dsphere" })
+
 // Set due dates for responses when a complaint is created
-ComplaintSchema.pre("save", function (next) {
+ComplaintSchema.pre("save", async function () {
   if (this.isNew) {
-    const now = new Date()
-
-    // Set stakeholder office response due dates (3 days)
-    this.stakeholderFirstResponseDue = new Date(now.getTime() + 3 * 24 * 60 * 60 * 1000)
+    // Set stakeholder office first response due date on the working calendar
+    this.stakeholderFirstResponseDue = await computeDueDate("stakeholder_first", new Date(), this.priority)
 
     // Other due dates will be set when escalated
   }
 
+  // Complaints created before reference numbers existed get one the next time they are saved
+  if (!this.reference) {
+    this.reference = await generateReference(this)
+  }
+
   this.updatedAt = new Date()
-  next()
 })
 
 module.exports = mongoose.model("Complaint", ComplaintSchema)
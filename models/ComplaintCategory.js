@@ -0,0 +1,72 @@
+const mongoose = require("mongoose")
+
+// Managed taxonomy of complaint categories. Sub-categories point to their parent category.
+const ComplaintCategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  description: {
+    type: String,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ComplaintCategory",
+    default: null,
+  },
+  // Office types that normally handle complaints of this category
+  suggestedOfficeTypes: [
+    {
+      type: String,
+      enum: [
+        "trade_office",
+        "id_office",
+        "land_office",
+        "tax_office",
+        "court_office",
+        "police_office",
+        "education_office",
+        "health_office",
+        "transport_office",
+        "water_office",
+        "electricity_office",
+        "telecom_office",
+        "immigration_office",
+        "social_affairs_office",
+        "other",
+      ],
+    },
+  ],
+  // Severity points complaints of this category start with, see utils/severity. Sub-categories
+  // without one use their parent's.
+  severityWeight: {
+    type: Number,
+    min: 0,
+    max: 40,
+    default: null,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+module.exports = mongoose.model("ComplaintCategory", ComplaintCategorySchema)
+
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose")
+
+// Append-only record of every state change on a complaint
+const ComplaintEventSchema = new mongoose.Schema({
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Complaint",
+    required: true,
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: [
+      "submitted",
+      "edited",
+      "responded",
+      "escalated",
+      "accepted",
+      "response_rejected",
+      "attachment_added",
+      "information_requested",
+      "information_provided",
+      "closed",
+      "marked_duplicate",
+      "unmarked_duplicate",
+      "resolved_with_master",
+      "grouped",
+      "ungrouped",
+      "assigned",
+      "transferred",
+      "withdrawn",
+      "reopened",
+      "follow_up_requested",
+      "follow_up_answered",
+      "directive_issued",
+      "directive_acknowledged",
+      "directive_completed",
+      "directive_overdue",
+      "priority_changed",
+    ],
+    required: true,
+  },
+  // The user who caused the event. Empty for automatic (scheduler) events.
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  actorRole: {
+    type: String,
+    enum: [
+      "citizen",
+      "stakeholder_office",
+      "wereda_anti_corruption",
+      "kifleketema_anti_corruption",
+      "kentiba_biro",
+      "anonymous_reporter",
+      "system",
+    ],
+    required: true,
+  },
+  // Stage and status of the complaint after the event
+  stage: String,
+  status: String,
+  // Changed values, keyed by field name
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  message: String,
+  // Handler-only note, never shown to citizens
+  internalComment: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+// Events can only be created, never changed or removed
+const rejectModification = function (next) {
+  next(new Error("Complaint events are append-only"))
+}
+
+ComplaintEventSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return rejectModification(next)
+  }
+
+  next()
+})
+
+ComplaintEventSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectModification,
+)
+ComplaintEventSchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], rejectModification)
+
+module.exports = mongoose.model("ComplaintEvent", ComplaintEventSchema)
+
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose")
+
+// Named sequences, incremented atomically. Used for complaint reference numbers.
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+})
+
+module.exports = mongoose.model("Counter", CounterSchema)
+
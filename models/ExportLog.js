@@ -0,0 +1,43 @@
+const mongoose = require("mongoose")
+
+// Who exported which complaints, kept for accountability
+const ExportLogSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: {
+    type: String,
+    required: true,
+  },
+  format: {
+    type: String,
+    enum: ["csv", "xlsx"],
+    required: true,
+  },
+  columns: [String],
+  // The search parameters the export was made with
+  filters: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  rowCount: {
+    type: Number,
+    default: 0,
+  },
+  status: {
+    type: String,
+    enum: ["started", "completed", "failed"],
+    default: "started",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+  },
+})
+
+module.exports = mongoose.model("ExportLog", ExportLogSchema)
+
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose")
+
+// Public holidays managed by Kentiba Biro. Dates are local calendar days (YYYY-MM-DD).
+const HolidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/,
+    index: true,
+  },
+  // Movable feasts are loaded per year; fixed ones are entered once per date
+  isMovable: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+module.exports = mongoose.model("Holiday", HolidaySchema)
+
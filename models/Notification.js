@@ -0,0 +1,33 @@
+const mongoose = require("mongoose")
+
+const NotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  complaint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Complaint",
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  message: {
+    type: String,
+    required: true,
+  },
+  isRead: {
+    type: Boolean,
+    default: false,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+module.exports = mongoose.model("Notification", NotificationSchema)
+
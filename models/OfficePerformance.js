@@ -24,6 +24,61 @@ const OfficePerformanceSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  rejectedResponses: {
+    type: Number,
+    default: 0,
+  },
+  // Complaints marked as duplicates; these are not counted in totalComplaints
+  duplicateComplaints: {
+    type: Number,
+    default: 0,
+  },
+  // Resolutions the citizen later reopened; each reopen also takes one off resolvedComplaints
+  reopenedComplaints: {
+    type: Number,
+    default: 0,
+  },
+  // Complaints transferred away as misdirected; these are not counted in totalComplaints
+  transferredComplaints: {
+    type: Number,
+    default: 0,
+  },
+  // Citizen satisfaction (1-5) given when accepting a response. Average = total / count.
+  satisfactionRatings: {
+    type: Number,
+    default: 0,
+  },
+  satisfactionRatingTotal: {
+    type: Number,
+    default: 0,
+  },
+  // Ratings from the follow-up survey sent a week after resolution
+  followUpRatings: {
+    type: Number,
+    default: 0,
+  },
+  followUpRatingTotal: {
+    type: Number,
+    default: 0,
+  },
+  // Kentiba Biro directives issued to the office, those it carried out (on time), and those the
+  // scheduler flagged as overdue. Directives completed late count as completed and as overdue.
+  directivesReceived: {
+    type: Number,
+    default: 0,
+  },
+  directivesCompleted: {
+    type: Number,
+    default: 0,
+  },
+  directivesCompletedOnTime: {
+    type: Number,
+    default: 0,
+  },
+  directivesOverdue: {
+    type: Number,
+    default: 0,
+  },
   averageResolutionTime: {
     type: Number, // in days
     default: 0,
@@ -50,6 +105,32 @@ const OfficePerformanceSchema = new mongoose.Schema({
         type: String,
         enum: ["wereda_first", "kifleketema_first", "kentiba"],
       },
+      // Escalations of grouped complaints count once per group
+      caseGroup: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CaseGroup",
+      },
+      reason: String,
+      date: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  // Responses the citizen rejected as unsatisfactory
+  rejectionRecords: [
+    {
+      complaint: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Complaint",
+      },
+      response: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      category: {
+        type: String,
+        enum: ["not_addressed", "incomplete", "inaccurate", "no_action_taken", "unclear", "other"],
+      },
       reason: String,
       date: {
         type: Date,
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose")
+
+// Reusable response text for handlers. Placeholders such as {{reference}} are filled from the complaint.
+const ResponseTemplateSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  // Handler level the template is written for
+  handlerLevel: {
+    type: String,
+    enum: ["stakeholder_office", "wereda_anti_corruption", "kifleketema_anti_corruption", "kentiba_biro"],
+    required: true,
+  },
+  // Type of the office complaints are about. Empty for templates that suit any office type.
+  officeType: {
+    type: String,
+    enum: [
+      "trade_office",
+      "id_office",
+      "land_office",
+      "tax_office",
+      "court_office",
+      "police_office",
+      "education_office",
+      "health_office",
+      "transport_office",
+      "water_office",
+      "electricity_office",
+      "telecom_office",
+      "immigration_office",
+      "social_affairs_office",
+      "other",
+    ],
+    default: null,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+ResponseTemplateSchema.index({ handlerLevel: 1, officeType: 1, isActive: 1 })
+
+module.exports = mongoose.model("ResponseTemplate", ResponseTemplateSchema)
+
@@ -87,6 +87,31 @@ const UserSchema = new mongoose.Schema({
   wereda: {
     type: String,
   },
+  // Office account an officer works for. Empty for office accounts themselves.
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  // Officers who can assign complaints. Office accounts always can.
+  isSupervisor: {
+    type: Boolean,
+    default: false,
+  },
+  // Whether the officer receives automatically assigned complaints
+  isAvailable: {
+    type: Boolean,
+    default: true,
+  },
+  lastAssignedAt: {
+    type: Date,
+  },
+  // For office accounts: how new complaints are spread over their officers
+  assignmentStrategy: {
+    type: String,
+    enum: ["round_robin", "fewest_open"],
+    default: "fewest_open",
+  },
   resetCode: {
     type: String,
   },
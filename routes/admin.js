@@ -1,7 +1,14 @@
 const express = require("express")
+const mongoose = require("mongoose")
 const router = express.Router()
 const User = require("../models/User")
+const Holiday = require("../models/Holiday")
+const ExportLog = require("../models/ExportLog")
 const auth = require("../middleware/auth")
+const { getCategoryBreakdown, getOfficeCategoryBreakdown } = require("../utils/complaintStats")
+const { getHolidaysForYear } = require("../utils/workingCalendar")
+const { withSatisfactionAverages, getSatisfactionByLevel } = require("../utils/satisfaction")
+const { withDirectiveCompliance } = require("../utils/directives")
 const { USER_ROLES, ADMIN_REGISTRATION_CODES } = require("../config/constants")
 
 // @route   POST api/admin/register-admin
@@ -337,8 +344,8 @@ router.get("/performance-stats", auth, async (req, res) => {
     }
 
     // Get stakeholder office performance stats
-    const stakeholderOffices = await User.aggregate([
-      { $match: { role: USER_ROLES.STAKEHOLDER_OFFICE, isApproved: true } },
+    const stakeholderOfficeRows = await User.aggregate([
+      { $match: { role: USER_ROLES.STAKEHOLDER_OFFICE, isApproved: true, office: null } },
       {
         $lookup: {
           from: "officeperformances",
@@ -357,14 +364,26 @@ router.get("/performance-stats", auth, async (req, res) => {
           totalComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.totalComplaints", 0] }, 0] },
           resolvedComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.resolvedComplaints", 0] }, 0] },
           escalatedComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.escalatedComplaints", 0] }, 0] },
+          rejectedResponses: { $ifNull: [{ $arrayElemAt: ["$performance.rejectedResponses", 0] }, 0] },
+          reopenedComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.reopenedComplaints", 0] }, 0] },
+          satisfactionRatings: { $ifNull: [{ $arrayElemAt: ["$performance.satisfactionRatings", 0] }, 0] },
+          satisfactionRatingTotal: { $ifNull: [{ $arrayElemAt: ["$performance.satisfactionRatingTotal", 0] }, 0] },
+          followUpRatings: { $ifNull: [{ $arrayElemAt: ["$performance.followUpRatings", 0] }, 0] },
+          followUpRatingTotal: { $ifNull: [{ $arrayElemAt: ["$performance.followUpRatingTotal", 0] }, 0] },
+          directivesReceived: { $ifNull: [{ $arrayElemAt: ["$performance.directivesReceived", 0] }, 0] },
+          directivesCompleted: { $ifNull: [{ $arrayElemAt: ["$performance.directivesCompleted", 0] }, 0] },
+          directivesCompletedOnTime: {
+            $ifNull: [{ $arrayElemAt: ["$performance.directivesCompletedOnTime", 0] }, 0],
+          },
+          directivesOverdue: { $ifNull: [{ $arrayElemAt: ["$performance.directivesOverdue", 0] }, 0] },
           averageResolutionTime: { $ifNull: [{ $arrayElemAt: ["$performance.averageResolutionTime", 0] }, 0] },
         },
       },
     ])
 
     // Get Wereda admin performance stats
-    const weredaAdmins = await User.aggregate([
-      { $match: { role: USER_ROLES.WEREDA_ANTI_CORRUPTION, isApproved: true } },
+    const weredaAdminRows = await User.aggregate([
+      { $match: { role: USER_ROLES.WEREDA_ANTI_CORRUPTION, isApproved: true, office: null } },
       {
         $lookup: {
           from: "officeperformances",
@@ -383,14 +402,26 @@ router.get("/performance-stats", auth, async (req, res) => {
           totalComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.totalComplaints", 0] }, 0] },
           resolvedComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.resolvedComplaints", 0] }, 0] },
           escalatedComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.escalatedComplaints", 0] }, 0] },
+          rejectedResponses: { $ifNull: [{ $arrayElemAt: ["$performance.rejectedResponses", 0] }, 0] },
+          reopenedComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.reopenedComplaints", 0] }, 0] },
+          satisfactionRatings: { $ifNull: [{ $arrayElemAt: ["$performance.satisfactionRatings", 0] }, 0] },
+          satisfactionRatingTotal: { $ifNull: [{ $arrayElemAt: ["$performance.satisfactionRatingTotal", 0] }, 0] },
+          followUpRatings: { $ifNull: [{ $arrayElemAt: ["$performance.followUpRatings", 0] }, 0] },
+          followUpRatingTotal: { $ifNull: [{ $arrayElemAt: ["$performance.followUpRatingTotal", 0] }, 0] },
+          directivesReceived: { $ifNull: [{ $arrayElemAt: ["$performance.directivesReceived", 0] }, 0] },
+          directivesCompleted: { $ifNull: [{ $arrayElemAt: ["$performance.directivesCompleted", 0] }, 0] },
+          directivesCompletedOnTime: {
+            $ifNull: [{ $arrayElemAt: ["$performance.directivesCompletedOnTime", 0] }, 0],
+          },
+          directivesOverdue: { $ifNull: [{ $arrayElemAt: ["$performance.directivesOverdue", 0] }, 0] },
           averageResolutionTime: { $ifNull: [{ $arrayElemAt: ["$performance.averageResolutionTime", 0] }, 0] },
         },
       },
     ])
 
     // Get Kifleketema admin performance stats
-    const kifleketemaAdmins = await User.aggregate([
-      { $match: { role: USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION, isApproved: true } },
+    const kifleketemaAdminRows = await User.aggregate([
+      { $match: { role: USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION, isApproved: true, office: null } },
       {
         $lookup: {
           from: "officeperformances",
@@ -408,11 +439,38 @@ router.get("/performance-stats", auth, async (req, res) => {
           totalComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.totalComplaints", 0] }, 0] },
           resolvedComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.resolvedComplaints", 0] }, 0] },
           escalatedComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.escalatedComplaints", 0] }, 0] },
+          rejectedResponses: { $ifNull: [{ $arrayElemAt: ["$performance.rejectedResponses", 0] }, 0] },
+          reopenedComplaints: { $ifNull: [{ $arrayElemAt: ["$performance.reopenedComplaints", 0] }, 0] },
+          satisfactionRatings: { $ifNull: [{ $arrayElemAt: ["$performance.satisfactionRatings", 0] }, 0] },
+          satisfactionRatingTotal: { $ifNull: [{ $arrayElemAt: ["$performance.satisfactionRatingTotal", 0] }, 0] },
+          followUpRatings: { $ifNull: [{ $arrayElemAt: ["$performance.followUpRatings", 0] }, 0] },
+          followUpRatingTotal: { $ifNull: [{ $arrayElemAt: ["$performance.followUpRatingTotal", 0] }, 0] },
+          directivesReceived: { $ifNull: [{ $arrayElemAt: ["$performance.directivesReceived", 0] }, 0] },
+          directivesCompleted: { $ifNull: [{ $arrayElemAt: ["$performance.directivesCompleted", 0] }, 0] },
+          directivesCompletedOnTime: {
+            $ifNull: [{ $arrayElemAt: ["$performance.directivesCompletedOnTime", 0] }, 0],
+          },
+          directivesOverdue: { $ifNull: [{ $arrayElemAt: ["$performance.directivesOverdue", 0] }, 0] },
           averageResolutionTime: { $ifNull: [{ $arrayElemAt: ["$performance.averageResolutionTime", 0] }, 0] },
         },
       },
     ])
 
+    // Turn rating totals into average satisfaction, and directive counts into a compliance rate
+    const withRates = (row) => withDirectiveCompliance(withSatisfactionAverages(row))
+    const stakeholderOffices = stakeholderOfficeRows.map(withRates)
+    const weredaAdmins = weredaAdminRows.map(withRates)
+    const kifleketemaAdmins = kifleketemaAdminRows.map(withRates)
+    const satisfactionByLevel = await getSatisfactionByLevel()
+
+    // Break down complaints by category, overall and for each stakeholder office
+    const byCategory = await getCategoryBreakdown()
+    const officeCategories = await getOfficeCategoryBreakdown()
+
+    stakeholderOffices.forEach((office) => {
+      office.categories = officeCategories[office._id.toString()] || []
+    })
+
     // Group performance stats by location
     const stakeholderOfficesByLocation = {}
     stakeholderOffices.forEach((office) => {
@@ -460,6 +518,8 @@ router.get("/performance-stats", auth, async (req, res) => {
         stakeholderOffices,
         weredaAdmins,
         kifleketemaAdmins,
+        byCategory,
+        satisfactionByLevel,
         byLocation: {
           stakeholderOffices: stakeholderOfficesByLocation,
           weredaAdmins: weredaAdminsByLocation,
@@ -473,5 +533,178 @@ router.get("/performance-stats", auth, async (req, res) => {
   }
 })
 
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// @route   GET api/admin/holidays
+// @desc    Get the public holidays of a year, fixed and managed
+// @access  Private (Kentiba Biro only)
+router.get("/holidays", auth, async (req, res) => {
+  try {
+    // Check if user is Kentiba Biro
+    if (req.user.role !== USER_ROLES.KENTIBA_BIRO) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const year = Number.parseInt(req.query.year) || new Date().getFullYear()
+    const holidays = await getHolidaysForYear(year)
+
+    res.json({ year, holidays })
+  } catch (err) {
+    console.error("Get holidays error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/admin/holidays
+// @desc    Add a public holiday
+// @access  Private (Kentiba Biro only)
+router.post("/holidays", auth, async (req, res) => {
+  try {
+    // Check if user is Kentiba Biro
+    if (req.user.role !== USER_ROLES.KENTIBA_BIRO) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const { name, date, isMovable } = req.body
+
+    if (!name || !DATE_PATTERN.test(date || "")) {
+      return res.status(400).json({ message: "Name and date (YYYY-MM-DD) are required" })
+    }
+
+    // Check if a holiday is already registered on that date
+    const existing = await Holiday.findOne({ date })
+
+    if (existing) {
+      return res.status(400).json({ message: `${existing.name} is already registered on ${date}` })
+    }
+
+    const holiday = new Holiday({
+      name,
+      date,
+      isMovable: isMovable === true || isMovable === "true",
+      createdBy: req.user.id,
+    })
+
+    await holiday.save()
+
+    res.status(201).json({
+      message: "Holiday added successfully",
+      holiday,
+    })
+  } catch (err) {
+    console.error("Add holiday error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   PUT api/admin/holidays/movable/:year
+// @desc    Replace the movable feasts (Fasika, Eid, etc.) of a year
+// @access  Private (Kentiba Biro only)
+router.put("/holidays/movable/:year", auth, async (req, res) => {
+  try {
+    // Check if user is Kentiba Biro
+    if (req.user.role !== USER_ROLES.KENTIBA_BIRO) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const year = Number.parseInt(req.params.year)
+    const { holidays } = req.body
+
+    if (!year || !Array.isArray(holidays)) {
+      return res.status(400).json({ message: "A year and a list of holidays are required" })
+    }
+
+    const invalid = holidays.filter(
+      (holiday) => !holiday.name || !DATE_PATTERN.test(holiday.date || "") || !holiday.date.startsWith(`${year}-`),
+    )
+
+    if (invalid.length > 0) {
+      return res.status(400).json({ message: `Each holiday needs a name and a date (YYYY-MM-DD) in ${year}` })
+    }
+
+    await Holiday.deleteMany({ isMovable: true, date: { $gte: `${year}-01-01`, $lte: `${year}-12-31` } })
+
+    const saved = await Holiday.insertMany(
+      holidays.map(({ name, date }) => ({
+        name,
+        date,
+        isMovable: true,
+        createdBy: req.user.id,
+      })),
+    )
+
+    res.json({
+      message: `Movable holidays for ${year} updated successfully`,
+      holidays: saved,
+    })
+  } catch (err) {
+    console.error("Update movable holidays error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE api/admin/holidays/:id
+// @desc    Remove a public holiday
+// @access  Private (Kentiba Biro only)
+router.delete("/holidays/:id", auth, async (req, res) => {
+  try {
+    // Check if user is Kentiba Biro
+    if (req.user.role !== USER_ROLES.KENTIBA_BIRO) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const holiday = await Holiday.findById(req.params.id)
+
+    if (!holiday) {
+      return res.status(404).json({ message: "Holiday not found" })
+    }
+
+    await holiday.deleteOne()
+
+    res.json({ message: "Holiday removed" })
+  } catch (err) {
+    console.error("Delete holiday error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/admin/export-logs
+// @desc    Get the log of complaint exports, newest first
+// @access  Private (Kentiba Biro only)
+router.get("/export-logs", auth, async (req, res) => {
+  try {
+    // Check if user is Kentiba Biro
+    if (req.user.role !== USER_ROLES.KENTIBA_BIRO) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), 100)
+    const query = {}
+
+    if (req.query.user) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.user)) {
+        return res.status(400).json({ message: "Invalid user" })
+      }
+
+      query.user = req.query.user
+    }
+
+    const [logs, total] = await Promise.all([
+      ExportLog.find(query)
+        .populate("user", "firstName lastName email officeName")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ExportLog.countDocuments(query),
+    ])
+
+    res.json({ logs, total, page, pages: Math.ceil(total / limit) })
+  } catch (err) {
+    console.error("Get export logs error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 module.exports = router
 
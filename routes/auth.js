@@ -72,6 +72,8 @@ router.post("/login", async (req, res) => {
       user: {
         id: user.id,
         role: user.role,
+        office: user.office ? user.office.toString() : undefined,
+        isSupervisor: user.isSupervisor || undefined,
       },
     }
 
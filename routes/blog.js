@@ -5,16 +5,10 @@ const path = require("path")
 const BlogPost = require("../models/BlogPost")
 const auth = require("../middleware/auth")
 const { USER_ROLES } = require("../config/constants")
+const { getStorage, multerStorage } = require("../utils/storage")
 
 // Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "uploads/blog")
-  },
-  filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`)
-  },
-})
+const storage = multerStorage("blog")
 
 const upload = multer({
   storage,
@@ -56,7 +50,9 @@ router.post("/", auth, upload.single("featuredImage"), async (req, res) => {
 
     // Add featured image if uploaded
     if (req.file) {
-      blogPost.featuredImage = req.file.path
+      blogPost.featuredImage = req.file.key
+      blogPost.featuredImageStorage = req.file.storage
+      blogPost.featuredImageType = req.file.mimetype
     }
 
     await blogPost.save()
@@ -149,6 +145,39 @@ router.get("/:id", async (req, res) => {
   }
 })
 
+// @route   GET api/blog/:id/image
+// @desc    Get the featured image of a blog post from whichever storage backend holds it
+// @access  Public
+router.get("/:id/image", async (req, res) => {
+  try {
+    const blogPost = await BlogPost.findById(req.params.id)
+
+    if (!blogPost || !blogPost.featuredImage || !blogPost.isPublished) {
+      return res.status(404).json({ message: "Image not found" })
+    }
+
+    let image
+
+    try {
+      image = await getStorage(blogPost.featuredImageStorage).get(blogPost.featuredImage)
+    } catch (err) {
+      return res.status(404).json({ message: "Image not found" })
+    }
+
+    res.setHeader("Content-Type", blogPost.featuredImageType || "application/octet-stream")
+    // Browsers must not guess another type for uploaded content
+    res.setHeader("X-Content-Type-Options", "nosniff")
+    image.on("error", (err) => {
+      console.error("Stream blog image error:", err)
+      res.destroy(err)
+    })
+    image.pipe(res)
+  } catch (err) {
+    console.error("Get blog image error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 // @route   PUT api/blog/:id
 // @desc    Update a blog post
 // @access  Private (Kentiba Biro only)
@@ -175,9 +204,17 @@ router.put("/:id", auth, upload.single("featuredImage"), async (req, res) => {
     blogPost.isPublished = isPublished === "true"
     blogPost.updatedAt = new Date()
 
-    // Update featured image if uploaded
+    // Update featured image if uploaded, removing the one it replaces
     if (req.file) {
-      blogPost.featuredImage = req.file.path
+      if (blogPost.featuredImage) {
+        await getStorage(blogPost.featuredImageStorage)
+          .remove(blogPost.featuredImage)
+          .catch((err) => console.error("Remove featured image error:", err))
+      }
+
+      blogPost.featuredImage = req.file.key
+      blogPost.featuredImageStorage = req.file.storage
+      blogPost.featuredImageType = req.file.mimetype
     }
 
     await blogPost.save()
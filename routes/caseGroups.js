@@ -0,0 +1,478 @@
+const express = require("express")
+const router = express.Router()
+const CaseGroup = require("../models/CaseGroup")
+const Complaint = require("../models/Complaint")
+const User = require("../models/User")
+const auth = require("../middleware/auth")
+const {
+  USER_ROLES,
+  COMPLAINT_STATUS,
+  COMPLAINT_EVENT_TYPES,
+  CASE_GROUP_STATUS,
+} = require("../config/constants")
+const { canPerform, isClosed, forwardToNextHandler, recordEscalationFailure } = require("../utils/complaintWorkflow")
+const { recordComplaintEvent, recordEscalationEvent } = require("../utils/complaintEvents")
+const { notifyComplaintOwner } = require("../utils/notifications")
+const { getOfficeId } = require("../utils/assignment")
+
+// Handler levels that can group complaints into cases
+const GROUPING_ROLES = [USER_ROLES.WEREDA_ANTI_CORRUPTION, USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION]
+
+// Handler levels that can work on an existing group. Kentiba Biro receives groups escalated to it.
+const GROUP_HANDLER_ROLES = [...GROUPING_ROLES, USER_ROLES.KENTIBA_BIRO]
+
+const COMPLAINT_SUMMARY_FIELDS = "title currentStage currentHandler status submittedAt kifleketema wereda isAnonymous"
+
+// Whether a location belongs to the officer's area. Officers without an area on file see every area.
+const isInOfficerArea = (location, officer) => {
+  if (officer.role === USER_ROLES.KENTIBA_BIRO) {
+    return true
+  }
+
+  if (officer.kifleketema && location.kifleketema !== officer.kifleketema) {
+    return false
+  }
+
+  if (officer.role === USER_ROLES.WEREDA_ANTI_CORRUPTION && officer.wereda && location.wereda !== officer.wereda) {
+    return false
+  }
+
+  return true
+}
+
+const canManageGroup = (group, officer) => group.handlerRole === officer.role && isInOfficerArea(group, officer)
+
+// Reason a complaint cannot join a group worked by this officer, or null if it can. `user` is the
+// signed in user (req.user), whose office and supervisor flag decide whether they may respond.
+const groupMembershipDenial = (complaint, officer, user, groupId) => {
+  if (complaint.caseGroup && (!groupId || complaint.caseGroup.toString() !== groupId.toString())) {
+    return "Complaint already belongs to another case group"
+  }
+
+  if (complaint.isDuplicate) {
+    return "Duplicate complaints follow their master complaint and cannot be grouped"
+  }
+
+  if (!isInOfficerArea(complaint, officer)) {
+    return "Complaint is outside your area"
+  }
+
+  const respond = canPerform("respond", complaint, user)
+
+  return respond.allowed ? null : respond.reason
+}
+
+// Load the signed in officer with the area they cover
+const loadOfficer = (req) => User.findById(req.user.id).select("role kifleketema wereda")
+
+const loadGroupForOfficer = async (req, res) => {
+  const officer = await loadOfficer(req)
+  const group = await CaseGroup.findById(req.params.id)
+
+  if (!group) {
+    res.status(404).json({ message: "Case group not found" })
+    return {}
+  }
+
+  if (!officer || !canManageGroup(group, officer)) {
+    res.status(403).json({ message: "Not authorized to manage this case group" })
+    return {}
+  }
+
+  return { officer, group }
+}
+
+const addToGroup = async (group, complaint, user, now) => {
+  complaint.caseGroup = group._id
+  complaint.updatedAt = now
+  await complaint.save()
+
+  await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.GROUPED, user, {
+    after: { caseGroup: group._id },
+    date: now,
+  })
+}
+
+// @route   GET api/case-groups
+// @desc    Get the case groups worked by the user's handler level and area
+// @access  Private (Anti-corruption officers only)
+router.get("/", auth, async (req, res) => {
+  try {
+    if (!GROUP_HANDLER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const officer = await loadOfficer(req)
+    const query = { handlerRole: req.user.role }
+
+    if (req.query.status) {
+      query.status = req.query.status
+    }
+
+    const groups = await CaseGroup.find(query)
+      .populate("complaints", COMPLAINT_SUMMARY_FIELDS)
+      .populate("createdBy", "firstName lastName")
+      .sort({ updatedAt: -1 })
+
+    res.json({ groups: groups.filter((group) => isInOfficerArea(group, officer)) })
+  } catch (err) {
+    console.error("Get case groups error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/case-groups
+// @desc    Group complaints about the same official or pattern into one case
+// @access  Private (Wereda and Kifleketema anti-corruption officers only)
+router.post("/", auth, async (req, res) => {
+  try {
+    if (!GROUPING_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: "Only wereda and kifleketema officers can group complaints" })
+    }
+
+    const { title, description, complaintIds } = req.body
+
+    if (!title) {
+      return res.status(400).json({ message: "Title is required" })
+    }
+
+    const ids = [...new Set(Array.isArray(complaintIds) ? complaintIds : [])]
+
+    if (ids.length < 2) {
+      return res.status(400).json({ message: "A case group needs at least two complaints" })
+    }
+
+    const officer = await loadOfficer(req)
+    const complaints = await Complaint.find({ _id: { $in: ids } })
+
+    if (complaints.length !== ids.length) {
+      return res.status(404).json({ message: "One or more complaints were not found" })
+    }
+
+    for (const complaint of complaints) {
+      const denial = groupMembershipDenial(complaint, officer, req.user)
+
+      if (denial) {
+        return res.status(400).json({ message: `Complaint "${complaint.title}" cannot be grouped. ${denial}` })
+      }
+    }
+
+    const now = new Date()
+    const group = new CaseGroup({
+      title,
+      description,
+      handlerRole: req.user.role,
+      kifleketema: officer.kifleketema,
+      wereda: req.user.role === USER_ROLES.WEREDA_ANTI_CORRUPTION ? officer.wereda : undefined,
+      complaints: complaints.map((complaint) => complaint._id),
+      createdBy: req.user.id,
+      createdAt: now,
+      updatedAt: now,
+    })
+
+    await group.save()
+
+    for (const complaint of complaints) {
+      await addToGroup(group, complaint, req.user, now)
+    }
+
+    res.status(201).json({
+      message: "Case group created successfully",
+      group,
+    })
+  } catch (err) {
+    console.error("Create case group error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/case-groups/:id
+// @desc    Get a case group with its complaints
+// @access  Private (Handler level working the group only)
+router.get("/:id", auth, async (req, res) => {
+  try {
+    const { group } = await loadGroupForOfficer(req, res)
+
+    if (!group) {
+      return
+    }
+
+    await group.populate([
+      { path: "complaints", select: `${COMPLAINT_SUMMARY_FIELDS} description responses` },
+      { path: "createdBy", select: "firstName lastName" },
+      { path: "responses.responder", select: "firstName lastName" },
+    ])
+
+    res.json({ group })
+  } catch (err) {
+    console.error("Get case group error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/case-groups/:id/complaints
+// @desc    Add a complaint to a case group
+// @access  Private (Handler level working the group only)
+router.post("/:id/complaints", auth, async (req, res) => {
+  try {
+    const { officer, group } = await loadGroupForOfficer(req, res)
+
+    if (!group) {
+      return
+    }
+
+    if (group.status === CASE_GROUP_STATUS.CLOSED) {
+      return res.status(400).json({ message: "Case group is closed" })
+    }
+
+    const complaint = await Complaint.findById(req.body.complaintId)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    if (group.complaints.some((id) => id.toString() === complaint._id.toString())) {
+      return res.status(400).json({ message: "Complaint is already in this case group" })
+    }
+
+    const denial = groupMembershipDenial(complaint, officer, req.user, group._id)
+
+    if (denial) {
+      return res.status(400).json({ message: denial })
+    }
+
+    const now = new Date()
+    group.complaints.push(complaint._id)
+    group.updatedAt = now
+    await group.save()
+
+    await addToGroup(group, complaint, req.user, now)
+
+    res.json({
+      message: "Complaint added to case group",
+      group,
+    })
+  } catch (err) {
+    console.error("Add complaint to case group error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE api/case-groups/:id/complaints/:complaintId
+// @desc    Remove a complaint from a case group
+// @access  Private (Handler level working the group only)
+router.delete("/:id/complaints/:complaintId", auth, async (req, res) => {
+  try {
+    const { group } = await loadGroupForOfficer(req, res)
+
+    if (!group) {
+      return
+    }
+
+    const complaint = await Complaint.findOne({ _id: req.params.complaintId, caseGroup: group._id })
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint is not in this case group" })
+    }
+
+    const now = new Date()
+    group.complaints = group.complaints.filter((id) => id.toString() !== complaint._id.toString())
+    group.updatedAt = now
+    await group.save()
+
+    complaint.caseGroup = undefined
+    complaint.updatedAt = now
+    await complaint.save()
+
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.UNGROUPED, req.user, {
+      before: { caseGroup: group._id },
+      date: now,
+    })
+
+    res.json({
+      message: "Complaint removed from case group",
+      group,
+    })
+  } catch (err) {
+    console.error("Remove complaint from case group error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/case-groups/:id/respond
+// @desc    Send one response to every complaint in a case group
+// @access  Private (Handler level working the group only)
+router.post("/:id/respond", auth, async (req, res) => {
+  try {
+    const { response, internalComment } = req.body
+
+    if (!response) {
+      return res.status(400).json({ message: "Response is required" })
+    }
+
+    const { group } = await loadGroupForOfficer(req, res)
+
+    if (!group) {
+      return
+    }
+
+    if (group.status === CASE_GROUP_STATUS.CLOSED) {
+      return res.status(400).json({ message: "Case group is closed" })
+    }
+
+    const now = new Date()
+    const complaints = await Complaint.find({ caseGroup: group._id })
+    const responded = []
+    const skipped = []
+
+    for (const complaint of complaints) {
+      // Each complaint still goes through its own workflow checks
+      const respond = canPerform("respond", complaint, req.user, now)
+
+      if (!respond.allowed) {
+        skipped.push({ complaint: complaint._id, reason: respond.reason })
+        continue
+      }
+
+      complaint.responses.push({
+        responder: req.user.id,
+        responderRole: complaint.currentHandler,
+        responderOffice: getOfficeId(req.user),
+        response,
+        status: COMPLAINT_STATUS.IN_PROGRESS,
+        internalComment,
+        createdAt: now,
+      })
+
+      const previousStatus = complaint.status
+      complaint.status = COMPLAINT_STATUS.IN_PROGRESS
+      complaint.updatedAt = now
+
+      await complaint.save()
+
+      await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.RESPONDED, req.user, {
+        before: { status: previousStatus },
+        after: { status: complaint.status, response, caseGroup: group._id },
+        internalComment,
+        date: now,
+      })
+
+      responded.push(complaint._id)
+    }
+
+    if (responded.length === 0) {
+      return res.status(400).json({ message: "No complaint in this group can be responded to", skipped })
+    }
+
+    group.responses.push({
+      responder: req.user.id,
+      responderRole: req.user.role,
+      response,
+      internalComment,
+      createdAt: now,
+    })
+    group.updatedAt = now
+    await group.save()
+
+    res.json({
+      message: "Response submitted to the case group",
+      responded,
+      skipped,
+    })
+  } catch (err) {
+    console.error("Respond to case group error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/case-groups/:id/escalate
+// @desc    Refer every complaint in a case group to the next handler level
+// @access  Private (Handler level working the group only)
+router.post("/:id/escalate", auth, async (req, res) => {
+  try {
+    const { reason } = req.body
+
+    if (!reason) {
+      return res.status(400).json({ message: "Reason for escalation is required" })
+    }
+
+    const { group } = await loadGroupForOfficer(req, res)
+
+    if (!group) {
+      return
+    }
+
+    if (group.status === CASE_GROUP_STATUS.CLOSED) {
+      return res.status(400).json({ message: "Case group is closed" })
+    }
+
+    const now = new Date()
+    const complaints = await Complaint.find({ caseGroup: group._id })
+    const escalated = []
+    const skipped = []
+    let nextHandler = null
+
+    // Resolved and closed complaints stay in the group as part of its history
+    const finished = complaints.filter((complaint) => isClosed(complaint)).map((complaint) => complaint._id)
+
+    for (const complaint of complaints.filter((item) => !isClosed(item))) {
+      const forward = canPerform("forward", complaint, req.user, now)
+
+      if (!forward.allowed) {
+        skipped.push({ complaint: complaint._id, reason: forward.reason })
+        continue
+      }
+
+      const transition = await forwardToNextHandler(complaint, reason, now)
+      await complaint.save()
+
+      // Counted once for the whole group
+      await recordEscalationFailure(complaint, transition, reason, now)
+      await recordEscalationEvent(complaint, transition, req.user, reason, now)
+      await notifyComplaintOwner(
+        complaint,
+        COMPLAINT_EVENT_TYPES.ESCALATED,
+        `Your complaint "${complaint.title}" has been escalated to ${transition.toHandler.replace(/_/g, " ")}`,
+      )
+
+      nextHandler = transition.toHandler
+      escalated.push(complaint._id)
+    }
+
+    if (escalated.length === 0) {
+      return res.status(400).json({ message: "No complaint in this group can be escalated", skipped })
+    }
+
+    // The group moves with its open complaints; any open complaint left behind leaves the group
+    const remaining = skipped.map(({ complaint }) => complaint.toString())
+
+    if (remaining.length > 0) {
+      await Complaint.updateMany({ _id: { $in: remaining } }, { $unset: { caseGroup: "" } })
+
+      for (const complaint of complaints.filter((item) => remaining.includes(item._id.toString()))) {
+        await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.UNGROUPED, req.user, {
+          before: { caseGroup: group._id },
+          message: "Left behind when the case group was escalated",
+          date: now,
+        })
+      }
+    }
+
+    group.complaints = [...escalated, ...finished]
+    group.handlerRole = nextHandler
+    group.updatedAt = now
+    await group.save()
+
+    res.json({
+      message: "Case group escalated successfully",
+      group,
+      skipped,
+    })
+  } catch (err) {
+    console.error("Escalate case group error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
+
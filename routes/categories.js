@@ -0,0 +1,305 @@
+const express = require("express")
+const router = express.Router()
+const ComplaintCategory = require("../models/ComplaintCategory")
+const Complaint = require("../models/Complaint")
+const User = require("../models/User")
+const auth = require("../middleware/auth")
+const { USER_ROLES, OFFICE_TYPES } = require("../config/constants")
+
+// Accept office types as an array or a comma separated string
+const parseOfficeTypes = (value) => {
+  if (!value) {
+    return []
+  }
+
+  const officeTypes = Array.isArray(value) ? value : value.split(",")
+  return officeTypes.map((type) => type.trim()).filter(Boolean)
+}
+
+const invalidOfficeTypes = (officeTypes) =>
+  officeTypes.filter((type) => !Object.values(OFFICE_TYPES).includes(type))
+
+// Read a category's severity weight. An empty value removes it. Returns { weight } or { error }.
+const parseSeverityWeight = (value) => {
+  if (value === null || value === "") {
+    return { weight: null }
+  }
+
+  const weight = Number(value)
+
+  if (!Number.isFinite(weight) || weight < 0 || weight > 40) {
+    return { error: "Severity weight must be a number from 0 to 40" }
+  }
+
+  return { weight }
+}
+
+// Nest sub-categories under their parent category
+const buildTree = (categories) => {
+  const topLevel = categories.filter((category) => !category.parent)
+
+  return topLevel.map((category) => ({
+    ...category,
+    subCategories: categories.filter(
+      (subCategory) => subCategory.parent && subCategory.parent.toString() === category._id.toString(),
+    ),
+  }))
+}
+
+// @route   GET api/categories
+// @desc    Get active complaint categories with their sub-categories
+// @access  Public
+router.get("/", async (req, res) => {
+  try {
+    const categories = await ComplaintCategory.find({ isActive: true }).sort({ name: 1 }).lean()
+
+    res.json({ categories: buildTree(categories) })
+  } catch (err) {
+    console.error("Get categories error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/categories/all
+// @desc    Get all complaint categories, including inactive ones
+// @access  Private (Kentiba Biro only)
+router.get("/all", auth, async (req, res) => {
+  try {
+    // Check if user is Kentiba Biro
+    if (req.user.role !== USER_ROLES.KENTIBA_BIRO) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const categories = await ComplaintCategory.find().sort({ name: 1 }).lean()
+
+    res.json({ categories: buildTree(categories) })
+  } catch (err) {
+    console.error("Get all categories error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/categories/:id/suggestions
+// @desc    Suggest stakeholder offices that normally handle a category
+// @access  Public
+router.get("/:id/suggestions", async (req, res) => {
+  try {
+    const category = await ComplaintCategory.findOne({ _id: req.params.id, isActive: true })
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+
+    // Sub-categories without their own suggestions inherit the parent's
+    let suggestedOfficeTypes = category.suggestedOfficeTypes
+
+    if (suggestedOfficeTypes.length === 0 && category.parent) {
+      const parent = await ComplaintCategory.findById(category.parent)
+      suggestedOfficeTypes = parent ? parent.suggestedOfficeTypes : []
+    }
+
+    const query = {
+      role: USER_ROLES.STAKEHOLDER_OFFICE,
+      isApproved: true,
+      office: null, // Office accounts only, not their officers
+      officeType: { $in: suggestedOfficeTypes },
+    }
+
+    // Narrow down to the citizen's location if provided
+    if (req.query.kifleketema) {
+      query.kifleketema = req.query.kifleketema
+    }
+
+    if (req.query.wereda) {
+      query.wereda = req.query.wereda
+    }
+
+    const stakeholders = await User.find(query)
+      .select("_id officeName officeType officeAddress kifleketema wereda")
+      .sort({ officeName: 1 })
+
+    res.json({ suggestedOfficeTypes, stakeholders })
+  } catch (err) {
+    console.error("Get category suggestions error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/categories
+// @desc    Create a complaint category or sub-category
+// @access  Private (Kentiba Biro only)
+router.post("/", auth, async (req, res) => {
+  try {
+    // Check if user is Kentiba Biro
+    if (req.user.role !== USER_ROLES.KENTIBA_BIRO) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const { name, code, description, parentId } = req.body
+    const suggestedOfficeTypes = parseOfficeTypes(req.body.suggestedOfficeTypes)
+
+    if (!name || !code) {
+      return res.status(400).json({ message: "Name and code are required" })
+    }
+
+    const invalidTypes = invalidOfficeTypes(suggestedOfficeTypes)
+
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({ message: `Invalid office types: ${invalidTypes.join(", ")}` })
+    }
+
+    const { weight: severityWeight, error: weightError } =
+      req.body.severityWeight === undefined ? { weight: null } : parseSeverityWeight(req.body.severityWeight)
+
+    if (weightError) {
+      return res.status(400).json({ message: weightError })
+    }
+
+    // Check if code is already in use
+    const normalizedCode = code.trim().toLowerCase()
+    const existing = await ComplaintCategory.findOne({ code: normalizedCode })
+
+    if (existing) {
+      return res.status(400).json({ message: "Category code already exists" })
+    }
+
+    // Only two levels are supported: categories and their sub-categories
+    if (parentId) {
+      const parent = await ComplaintCategory.findById(parentId)
+
+      if (!parent) {
+        return res.status(404).json({ message: "Parent category not found" })
+      }
+
+      if (parent.parent) {
+        return res.status(400).json({ message: "Sub-categories cannot have sub-categories" })
+      }
+    }
+
+    const category = new ComplaintCategory({
+      name,
+      code: normalizedCode,
+      description,
+      parent: parentId || null,
+      suggestedOfficeTypes,
+      severityWeight,
+      createdBy: req.user.id,
+    })
+
+    await category.save()
+
+    res.status(201).json({
+      message: "Category created successfully",
+      category,
+    })
+  } catch (err) {
+    console.error("Create category error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   PUT api/categories/:id
+// @desc    Update a complaint category
+// @access  Private (Kentiba Biro only)
+router.put("/:id", auth, async (req, res) => {
+  try {
+    // Check if user is Kentiba Biro
+    if (req.user.role !== USER_ROLES.KENTIBA_BIRO) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const { name, description, isActive } = req.body
+
+    const category = await ComplaintCategory.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+
+    if (req.body.suggestedOfficeTypes !== undefined) {
+      const suggestedOfficeTypes = parseOfficeTypes(req.body.suggestedOfficeTypes)
+      const invalidTypes = invalidOfficeTypes(suggestedOfficeTypes)
+
+      if (invalidTypes.length > 0) {
+        return res.status(400).json({ message: `Invalid office types: ${invalidTypes.join(", ")}` })
+      }
+
+      category.suggestedOfficeTypes = suggestedOfficeTypes
+    }
+
+    if (req.body.severityWeight !== undefined) {
+      const { weight, error: weightError } = parseSeverityWeight(req.body.severityWeight)
+
+      if (weightError) {
+        return res.status(400).json({ message: weightError })
+      }
+
+      category.severityWeight = weight
+    }
+
+    // Update category
+    if (name) {
+      category.name = name
+    }
+
+    if (description !== undefined) {
+      category.description = description
+    }
+
+    if (isActive !== undefined) {
+      category.isActive = isActive === true || isActive === "true"
+    }
+
+    category.updatedAt = new Date()
+    await category.save()
+
+    res.json({
+      message: "Category updated successfully",
+      category,
+    })
+  } catch (err) {
+    console.error("Update category error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE api/categories/:id
+// @desc    Delete a complaint category, or deactivate it if it is in use
+// @access  Private (Kentiba Biro only)
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    // Check if user is Kentiba Biro
+    if (req.user.role !== USER_ROLES.KENTIBA_BIRO) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const category = await ComplaintCategory.findById(req.params.id)
+
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+
+    // Categories referenced by complaints or sub-categories are kept for the statistics
+    const inUse =
+      (await Complaint.exists({ $or: [{ category: category._id }, { subCategory: category._id }] })) ||
+      (await ComplaintCategory.exists({ parent: category._id }))
+
+    if (inUse) {
+      category.isActive = false
+      category.updatedAt = new Date()
+      await category.save()
+
+      return res.json({ message: "Category is in use and has been deactivated" })
+    }
+
+    await category.deleteOne()
+
+    res.json({ message: "Category removed" })
+  } catch (err) {
+    console.error("Delete category error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
+
@@ -1,18 +1,347 @@
 const express = require("express")
+const mongoose = require("mongoose")
 const router = express.Router()
 const multer = require("multer")
 const path = require("path")
 const Complaint = require("../models/Complaint")
 const User = require("../models/User")
 const OfficePerformance = require("../models/OfficePerformance")
+const ComplaintCategory = require("../models/ComplaintCategory")
+const ExportLog = require("../models/ExportLog")
+const jwt = require("jsonwebtoken")
 const auth = require("../middleware/auth")
+const reporterAuth = auth.allowAnonymousReporter
 const {
+  ANONYMOUS_REPORTER_ROLE,
   USER_ROLES,
   COMPLAINT_STAGES,
   COMPLAINT_HANDLERS,
   COMPLAINT_STATUS,
-  ESCALATION_TIMEFRAMES,
+  COMPLAINT_EVENT_TYPES,
+  FINAL_COMPLAINT_STATUSES,
+  RESPONSE_REJECTION_REASONS,
+  RESPONSE_OUTCOMES,
+  ATTACHMENT_VISIBILITY,
+  DIRECTIVE_STATUS,
+  DIRECTIVE_DEFAULT_WORKING_DAYS,
+  COMPLAINT_PRIORITIES,
 } = require("../config/constants")
+const {
+  canPerform,
+  getAvailableTransitions,
+  getCurrentDueDate,
+  isComplaintOwner,
+  isClosed,
+  advanceStage,
+  autoAssign,
+  getHandlerOfficeId,
+  transferToOffice,
+  reopenComplaint,
+  pauseForInformation,
+  resumeAfterInformation,
+  clearEscalationFailures,
+  recordEscalationFailure,
+  recordResponseRejection,
+  reverseResolutionCredit,
+} = require("../utils/complaintWorkflow")
+const {
+  recordComplaintEvent,
+  recordAttachmentEvents,
+  recordEscalationEvent,
+  recordAssignmentEvent,
+  getTimeline,
+} = require("../utils/complaintEvents")
+const {
+  generateTrackingCode,
+  generatePassphrase,
+  hashPassphrase,
+  verifyPassphrase,
+  normalizeTrackingCode,
+} = require("../utils/anonymousCredentials")
+const { getCategoryBreakdown } = require("../utils/complaintStats")
+const {
+  HEATMAP_LEVELS,
+  parseGeoLocation,
+  roundGeoLocation,
+  geoLocationForViewer,
+  parseZoom,
+  clusterComplaints,
+  heatmapByArea,
+} = require("../utils/complaintMap")
+const { notifyUser, notifyComplaintOwner } = require("../utils/notifications")
+const { findSimilarComplaints } = require("../utils/similarity")
+const {
+  claimResolutionCredit,
+  releaseResolutionCredit,
+  settleCaseGroup,
+  leaveCaseGroupOnEscalation,
+} = require("../utils/caseGroups")
+const { getOfficeId } = require("../utils/assignment")
+const { parseRating, recordSatisfaction } = require("../utils/satisfaction")
+const { buildSearchPipeline, searchComplaints } = require("../utils/complaintSearch")
+const { parseColumns, streamComplaintExport } = require("../utils/complaintExport")
+const { streamAcknowledgmentSlip, streamCaseSummary } = require("../utils/complaintPdf")
+const { normalizeReference, isReference } = require("../utils/complaintReference")
+const {
+  describeUploads,
+  parseVisibility,
+  findAttachment,
+  canViewAttachment,
+  createSignedUrl,
+  verifySignedUrl,
+} = require("../utils/attachments")
+const { getStorage, multerStorage, discardStoredUploads } = require("../utils/storage")
+const { processUpload } = require("../utils/uploadProcessing")
+const { findUsableTemplate, renderTemplate } = require("../utils/responseTemplates")
+const { addWorkingDays } = require("../utils/workingCalendar")
+const { createAttemptLimiter } = require("../utils/attemptLimiter")
+const {
+  parseSeverityInputs,
+  assessSeverity,
+  setPriority,
+  shortenDeadlineForCritical,
+} = require("../utils/severity")
+const {
+  DIRECTIVE_TARGET_ROLES,
+  hasDirectiveFor,
+  canActOnDirective,
+  recordDirectiveCompliance,
+} = require("../utils/directives")
+
+// Roles that report complaints and follow them up
+const REPORTER_ROLES = [USER_ROLES.CITIZEN, ANONYMOUS_REPORTER_ROLE]
+
+// Check whether a user may view a complaint. Works with populated and unpopulated references.
+const canViewComplaint = (complaint, user) => {
+  const officeId = complaint.stakeholderOffice && (complaint.stakeholderOffice._id || complaint.stakeholderOffice)
+
+  if (REPORTER_ROLES.includes(user.role)) {
+    // Citizens and anonymous reporters can view their own complaints
+    return isComplaintOwner(complaint, user)
+  } else if (hasDirectiveFor(complaint, user)) {
+    // Offices Kentiba Biro directed to act can view the complaint
+    return true
+  } else if (user.role === USER_ROLES.STAKEHOLDER_OFFICE) {
+    // Stakeholder offices can view complaints directed to them
+    return Boolean(officeId) && officeId.toString() === getOfficeId(user)
+  } else if (user.role === USER_ROLES.WEREDA_ANTI_CORRUPTION) {
+    // Wereda officers can view complaints at their level
+    return [COMPLAINT_STAGES.WEREDA_FIRST, COMPLAINT_STAGES.WEREDA_SECOND].includes(complaint.currentStage)
+  } else if (user.role === USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION) {
+    // Kifleketema officers can view complaints at their level
+    return [COMPLAINT_STAGES.KIFLEKETEMA_FIRST, COMPLAINT_STAGES.KIFLEKETEMA_SECOND].includes(complaint.currentStage)
+  }
+
+  // Kentiba Biro can view all complaints
+  return user.role === USER_ROLES.KENTIBA_BIRO
+}
+
+// A complaint (a document or a search result) as sent to a user.
+// Citizens and anonymous reporters do not get handler-only notes, evidence, directives or triage details, and
+// offices not handling the complaint only get its map pin rounded.
+const complaintForViewer = (complaint, user) => {
+  const json = typeof complaint.toJSON === "function" ? complaint.toJSON() : complaint
+
+  // An anonymous reporter's credential is only handed out when the complaint is created
+  delete json.trackingCode
+
+  if (!REPORTER_ROLES.includes(user.role)) {
+    json.geoLocation = geoLocationForViewer(json.geoLocation, json, user)
+    return json
+  }
+
+  json.responses = (json.responses || []).map(({ internalComment, ...response }) => ({
+    ...response,
+    attachments: (response.attachments || []).filter((attachment) => canViewAttachment(attachment, user)),
+  }))
+  delete json.directives
+  // Triage details stay with the handlers
+  delete json.severity
+  delete json.priorityOverride
+  delete json.priority
+  delete json.priorityRank
+  delete json.assignee
+  delete json.assignedAt
+  delete json.assignedBy
+
+  return json
+}
+
+// Query limiting a complaint list to what the user's role may see
+const buildRoleScope = async (user) => {
+  const query = {}
+
+  if (user.role === USER_ROLES.CITIZEN) {
+    // Citizens can only see their own complaints
+    query.user = user.id
+  } else if (user.role === USER_ROLES.STAKEHOLDER_OFFICE) {
+    // Stakeholder offices can only see complaints directed to them
+    query.stakeholderOffice = getOfficeId(user)
+  } else if (user.role === USER_ROLES.WEREDA_ANTI_CORRUPTION) {
+    // Wereda officers can see complaints at their level and in their wereda
+    query.currentHandler = COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
+
+    // Get user's kifleketema and wereda
+    const officer = await User.findById(user.id)
+    if (officer && officer.kifleketema && officer.wereda) {
+      query.kifleketema = officer.kifleketema
+      query.wereda = officer.wereda
+    }
+  } else if (user.role === USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION) {
+    // Kifleketema officers can see complaints at their level and in their kifleketema
+    query.currentHandler = COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION
+
+    // Get user's kifleketema
+    const officer = await User.findById(user.id)
+    if (officer && officer.kifleketema) {
+      query.kifleketema = officer.kifleketema
+    }
+  }
+  // Kentiba Biro can see all complaints
+
+  return query
+}
+
+// Add to (or subtract from) an office's performance counters, e.g. { totalComplaints: 1 }
+const updateOfficeCounters = async (officeId, officeRole, counters) => {
+  let officePerformance = await OfficePerformance.findOne({
+    office: officeId,
+    officeRole,
+  })
+
+  if (!officePerformance) {
+    officePerformance = new OfficePerformance({
+      office: officeId,
+      officeRole,
+    })
+  }
+
+  Object.entries(counters).forEach(([counter, amount]) => {
+    officePerformance[counter] = Math.max((officePerformance[counter] || 0) + amount, 0)
+  })
+
+  officePerformance.updatedAt = new Date()
+  await officePerformance.save()
+}
+
+// What a submitter may learn about a similar complaint. Other citizens' complaints stay private.
+const describeSimilarComplaint = ({ complaint, similarity }, user) => {
+  const isOwn = Boolean(user) && isComplaintOwner(complaint, user)
+
+  return {
+    _id: isOwn ? complaint._id : undefined,
+    title: isOwn ? complaint.title : undefined,
+    isOwn,
+    similarity,
+    currentStage: complaint.currentStage,
+    status: complaint.status,
+    submittedAt: complaint.submittedAt,
+  }
+}
+
+// Close the open duplicates of a master complaint with the master's resolution
+const resolveDuplicates = async (master) => {
+  const duplicates = await Complaint.find({
+    relatedComplaint: master._id,
+    isDuplicate: true,
+    status: { $nin: FINAL_COMPLAINT_STATUSES },
+  })
+
+  for (const duplicate of duplicates) {
+    const previousStatus = duplicate.status
+    duplicate.status = COMPLAINT_STATUS.RESOLVED
+    duplicate.resolution = {
+      resolvedBy: master.resolution.resolvedBy,
+      resolverRole: master.resolution.resolverRole,
+      resolution: master.resolution.resolution,
+      resolvedAt: master.resolution.resolvedAt,
+    }
+    duplicate.updatedAt = master.resolution.resolvedAt
+
+    await duplicate.save()
+
+    await recordComplaintEvent(duplicate, COMPLAINT_EVENT_TYPES.RESOLVED_WITH_MASTER, null, {
+      before: { status: previousStatus },
+      after: { status: duplicate.status, relatedComplaint: master._id },
+      date: master.resolution.resolvedAt,
+    })
+    await notifyComplaintOwner(
+      duplicate,
+      COMPLAINT_EVENT_TYPES.RESOLVED_WITH_MASTER,
+      `Your complaint "${duplicate.title}" was resolved together with the case it duplicates`,
+    )
+  }
+}
+
+// Reply 409 with the similar complaints unless the submitter confirmed the complaint is new.
+// Returns true when the request was answered.
+const warnAboutDuplicates = async (req, res, candidate) => {
+  if (req.body.confirmNotDuplicate === "true") {
+    return false
+  }
+
+  const matches = await findSimilarComplaints(candidate)
+
+  if (matches.length === 0) {
+    return false
+  }
+
+  // Remove the files multer already stored for the rejected submission
+  await discardStoredUploads(req.files)
+  res.status(409).json({
+    message:
+      "Similar complaints about this office and location are already open. " +
+      "Resubmit with confirmNotDuplicate set to true if this is a different incident.",
+    duplicates: matches.map((match) => describeSimilarComplaint(match, req.user)),
+  })
+
+  return true
+}
+
+// Check that a submitted category exists and is active, and that the sub-category belongs to it
+const validateCategory = async (categoryId, subCategoryId) => {
+  if (!categoryId) {
+    return { error: "Complaint category is required" }
+  }
+
+  const category = await ComplaintCategory.findOne({ _id: categoryId, parent: null, isActive: true })
+
+  if (!category) {
+    return { error: "Complaint category not found" }
+  }
+
+  if (!subCategoryId) {
+    return { category, subCategory: null }
+  }
+
+  const subCategory = await ComplaintCategory.findOne({ _id: subCategoryId, parent: category._id, isActive: true })
+
+  if (!subCategory) {
+    return { error: "Sub-category not found in the selected category" }
+  }
+
+  return { category, subCategory }
+}
+
+// Accept a complaint's reference number wherever its id is expected
+router.param("id", async (req, res, next, id) => {
+  try {
+    if (!isReference(id)) {
+      return next()
+    }
+
+    const complaint = await Complaint.findOne({ reference: normalizeReference(id) }).select("_id")
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    req.params.id = complaint.id
+    next()
+  } catch (err) {
+    next(err)
+  }
+})
 
 // @route   GET api/complaints/dashboard/stats
 // @desc    Get complaint statistics for dashboard
@@ -29,7 +358,7 @@ router.get("/dashboard/stats", auth, async (req, res) => {
     // Filter based on user role
     if (req.user.role === USER_ROLES.STAKEHOLDER_OFFICE) {
       // Stakeholder offices can only see complaints directed to them
-      query.stakeholderOffice = req.user.id
+      query.stakeholderOffice = getOfficeId(req.user)
     } else if (req.user.role === USER_ROLES.WEREDA_ANTI_CORRUPTION) {
       // Wereda officers can only see complaints at their level and in their wereda
       query.currentHandler = COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
@@ -52,12 +381,28 @@ router.get("/dashboard/stats", auth, async (req, res) => {
     }
     // Kentiba Biro can see all complaints
 
+    // Filter by category if provided
+    if (req.query.category) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.category)) {
+        return res.status(400).json({ message: "Invalid category" })
+      }
+
+      query.category = req.query.category
+    }
+
     // Get counts for each status
     const total = await Complaint.countDocuments(query)
     const pending = await Complaint.countDocuments({ ...query, status: COMPLAINT_STATUS.PENDING })
     const inProgress = await Complaint.countDocuments({ ...query, status: COMPLAINT_STATUS.IN_PROGRESS })
     const resolved = await Complaint.countDocuments({ ...query, status: COMPLAINT_STATUS.RESOLVED })
     const escalated = await Complaint.countDocuments({ ...query, status: COMPLAINT_STATUS.ESCALATED })
+    const awaitingCitizen = await Complaint.countDocuments({ ...query, status: COMPLAINT_STATUS.AWAITING_CITIZEN })
+    const closed = await Complaint.countDocuments({ ...query, status: COMPLAINT_STATUS.CLOSED })
+    const withdrawn = await Complaint.countDocuments({ ...query, status: COMPLAINT_STATUS.WITHDRAWN })
+    const reopened = await Complaint.countDocuments({ ...query, "reopenHistory.0": { $exists: true } })
+
+    // Break down by sub-category within a selected category, otherwise by category
+    const byCategory = await getCategoryBreakdown(query, req.query.category ? "subCategory" : "category")
 
     res.json({
       stats: {
@@ -66,6 +411,11 @@ router.get("/dashboard/stats", auth, async (req, res) => {
         inProgress,
         resolved,
         escalated,
+        awaitingCitizen,
+        closed,
+        withdrawn,
+        reopened,
+        byCategory,
       },
     })
   } catch (err) {
@@ -74,30 +424,42 @@ router.get("/dashboard/stats", auth, async (req, res) => {
   }
 })
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "uploads/complaints")
-  },
-  filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`)
-  },
-})
+// Largest file accepted with a complaint, a response or directive evidence. Each is held in memory while processed.
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024 // 10MB
+
+// Configure multer for file uploads. Files get opaque names; the original name is kept with the attachment record.
+const storage = multerStorage("complaints", { processFile: processUpload, maxBytes: MAX_UPLOAD_BYTES })
+
+const fileFilter = (req, file, cb) => {
+  const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx/
+  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase())
+  const mimetype = allowedTypes.test(file.mimetype)
+
+  if (extname && mimetype) {
+    return cb(null, true)
+  } else {
+    cb(new Error("Invalid file type. Only JPEG, PNG, GIF, PDF, DOC, and DOCX files are allowed."))
+  }
+}
 
 const upload = multer({
   storage,
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
-  fileFilter: (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx/
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase())
-    const mimetype = allowedTypes.test(file.mimetype)
-
-    if (extname && mimetype) {
-      return cb(null, true)
-    } else {
-      cb(new Error("Invalid file type. Only JPEG, PNG, GIF, PDF, DOC, and DOCX files are allowed."))
-    }
-  },
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+  fileFilter,
+})
+
+// Evidence handlers attach to their responses, processed like complaint attachments
+const evidenceUpload = multer({
+  storage: multerStorage("responses", { processFile: processUpload, maxBytes: MAX_UPLOAD_BYTES }),
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+  fileFilter,
+})
+
+// Evidence offices report the completion of a Kentiba Biro directive with
+const directiveEvidenceUpload = multer({
+  storage: multerStorage("directives", { processFile: processUpload, maxBytes: MAX_UPLOAD_BYTES }),
+  limits: { fileSize: MAX_UPLOAD_BYTES },
+  fileFilter,
 })
 
 // @route   POST api/complaints
@@ -120,92 +482,84 @@ router.post("/", auth, upload.array("attachments", 5), async (req, res) => {
       additionalDetails,
       kifleketema,
       wereda,
+      categoryId,
+      subCategoryId,
     } = req.body
+    const { error: severityError, amountInvolved, vulnerableGroups } = parseSeverityInputs(req.body)
+
+    if (severityError) {
+      return res.status(400).json({ message: severityError })
+    }
+
+    const { error: geoLocationError, geoLocation } = parseGeoLocation(req.body)
+
+    if (geoLocationError) {
+      return res.status(400).json({ message: geoLocationError })
+    }
 
     // Check if this is a second stage submission
     if (isSecondStage === "true" && originalComplaintId) {
-      // Verify original complaint exists, belongs to the user, and has a response
+      // Verify original complaint exists and belongs to the user
       const originalComplaint = await Complaint.findOne({
         _id: originalComplaintId,
         user: req.user.id,
-        $or: [{ currentStage: COMPLAINT_STAGES.STAKEHOLDER_FIRST }, { currentStage: COMPLAINT_STAGES.WEREDA_FIRST }],
-        status: COMPLAINT_STATUS.IN_PROGRESS, // Ensure there's a response (status is in_progress)
-        responses: { $exists: true, $not: { $size: 0 } }, // Ensure there's at least one response
       })
 
       if (!originalComplaint) {
-        return res.status(404).json({
-          message:
-            "Original complaint not found or not eligible for second stage. The complaint must have a response from the current handler.",
+        return res.status(404).json({ message: "Original complaint not found" })
+      }
+
+      // Verify the complaint is at a first round stage and has a response from the current handler
+      const secondStage = canPerform("secondStageSubmit", originalComplaint, req.user)
+
+      if (!secondStage.allowed) {
+        return res.status(400).json({
+          message: `Complaint is not eligible for second stage. ${secondStage.reason}`,
         })
       }
 
-      // Determine the next stage based on current stage
-      let nextStage, nextHandler, dueDateField, dueDate, escalationTo
       const now = new Date()
-
-      if (originalComplaint.currentStage === COMPLAINT_STAGES.STAKEHOLDER_FIRST) {
-        nextStage = COMPLAINT_STAGES.STAKEHOLDER_SECOND
-        nextHandler = COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE
-        dueDateField = "stakeholderSecondResponseDue"
-        dueDate = new Date(now.getTime() + ESCALATION_TIMEFRAMES.STAKEHOLDER_RESPONSE)
-        escalationTo = COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
-      } else if (originalComplaint.currentStage === COMPLAINT_STAGES.WEREDA_FIRST) {
-        nextStage = COMPLAINT_STAGES.WEREDA_SECOND
-        nextHandler = COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
-        dueDateField = "weredaSecondResponseDue"
-        dueDate = new Date(now.getTime() + ESCALATION_TIMEFRAMES.WEREDA_RESPONSE)
-        escalationTo = COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION
+      const before = {
+        title: originalComplaint.title,
+        description: originalComplaint.description,
+        additionalDetails: originalComplaint.additionalDetails,
       }
 
       // Update the original complaint instead of creating a new one
       originalComplaint.title = title
       originalComplaint.description = description
       originalComplaint.additionalDetails = additionalDetails || ""
-      originalComplaint.currentStage = nextStage
-      originalComplaint.currentHandler = nextHandler
-      originalComplaint.status = COMPLAINT_STATUS.PENDING
 
       // Add new attachments if any
-      if (req.files && req.files.length > 0) {
-        const newAttachments = req.files.map((file) => file.path)
-        originalComplaint.attachments = [...originalComplaint.attachments, ...newAttachments]
-      }
+      const attachments = describeUploads(req.files, req.user, now)
+      originalComplaint.attachments.push(...attachments)
 
-      // Set due dates
-      originalComplaint[dueDateField] = dueDate
-      originalComplaint.updatedAt = now
-
-      // Add to escalation history
-      originalComplaint.escalationHistory.push({
-        from: nextHandler,
-        to: escalationTo,
-        reason: "Second stage submission by citizen",
-        date: now,
-      })
+      // Move to the second round of the current handler
+      const reason = "Second stage submission by citizen"
+      const transition = await advanceStage(originalComplaint, reason, now)
+      const nextHandler = transition.toHandler
 
       await originalComplaint.save()
 
-      // Update office performance metrics
-      let officePerformance = await OfficePerformance.findOne({
-        office: stakeholderOfficeId,
-        officeRole: nextHandler,
+      // Keep the overwritten details in the complaint timeline
+      await recordComplaintEvent(originalComplaint, COMPLAINT_EVENT_TYPES.EDITED, req.user, {
+        before,
+        after: {
+          title: originalComplaint.title,
+          description: originalComplaint.description,
+          additionalDetails: originalComplaint.additionalDetails,
+        },
+        date: now,
       })
+      await recordAttachmentEvents(originalComplaint, req.user, attachments, now)
+      await recordEscalationEvent(originalComplaint, transition, req.user, reason, now)
 
-      if (!officePerformance) {
-        officePerformance = new OfficePerformance({
-          office: stakeholderOfficeId,
-          officeRole: nextHandler,
-        })
-      }
-
-      officePerformance.totalComplaints += 1
-      officePerformance.updatedAt = new Date()
-      await officePerformance.save()
+      // Update office performance metrics
+      await updateOfficeCounters(stakeholderOfficeId, nextHandler, { totalComplaints: 1 })
 
       res.status(200).json({
         message: "Second stage complaint submitted successfully",
-        complaint: originalComplaint,
+        complaint: complaintForViewer(originalComplaint, req.user),
       })
     } else {
       // Regular first stage complaint submission
@@ -214,6 +568,7 @@ router.post("/", auth, upload.array("attachments", 5), async (req, res) => {
         _id: stakeholderOfficeId,
         role: USER_ROLES.STAKEHOLDER_OFFICE,
         isApproved: true,
+        office: null, // Office accounts only, not their officers
       })
 
       if (!stakeholderOffice) {
@@ -225,11 +580,27 @@ router.post("/", auth, upload.array("attachments", 5), async (req, res) => {
         return res.status(400).json({ message: "Kifleketema and Wereda are required" })
       }
 
+      // Validate category
+      const { error: categoryError } = await validateCategory(categoryId, subCategoryId)
+
+      if (categoryError) {
+        return res.status(400).json({ message: categoryError })
+      }
+
+      // Warn about similar open complaints before creating a new one
+      const candidate = { title, description, stakeholderOffice: stakeholderOfficeId, location, kifleketema, wereda }
+
+      if (await warnAboutDuplicates(req, res, candidate)) {
+        return
+      }
+
       // Create new complaint
       const complaint = new Complaint({
         user: req.user.id,
         title,
         description,
+        category: categoryId,
+        subCategory: subCategoryId || undefined,
         stakeholderOffice: stakeholderOfficeId,
         currentStage: COMPLAINT_STAGES.STAKEHOLDER_FIRST,
         currentHandler: COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE,
@@ -237,39 +608,49 @@ router.post("/", auth, upload.array("attachments", 5), async (req, res) => {
         location,
         kifleketema,
         wereda,
+        geoLocation,
+        amountInvolved,
+        vulnerableGroups,
       })
 
       // Add attachments if any
-      if (req.files && req.files.length > 0) {
-        complaint.attachments = req.files.map((file) => file.path)
-      }
+      const attachments = describeUploads(req.files, req.user, complaint.submittedAt)
+      complaint.attachments = attachments
 
-      // Set due dates
-      const now = new Date()
-      complaint.stakeholderFirstResponseDue = new Date(now.getTime() + ESCALATION_TIMEFRAMES.STAKEHOLDER_RESPONSE)
+      await autoAssign(complaint)
 
+      // The first response due date is set on save from the working calendar, shorter for critical complaints
+      await assessSeverity(complaint, complaint.submittedAt)
       await complaint.save()
 
-      // Update office performance metrics
-      let officePerformance = await OfficePerformance.findOne({
-        office: stakeholderOfficeId,
-        officeRole: COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE,
+      await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.SUBMITTED, req.user, {
+        after: {
+          title,
+          description,
+          category: categoryId,
+          subCategory: subCategoryId,
+          stakeholderOffice: stakeholderOfficeId,
+          location,
+          kifleketema,
+          wereda,
+          amountInvolved,
+          vulnerableGroups,
+        },
+        date: complaint.submittedAt,
       })
+      await recordAttachmentEvents(complaint, req.user, attachments, complaint.submittedAt)
 
-      if (!officePerformance) {
-        officePerformance = new OfficePerformance({
-          office: stakeholderOfficeId,
-          officeRole: COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE,
-        })
+      if (complaint.assignee) {
+        await recordAssignmentEvent(complaint, null, undefined, complaint.submittedAt)
       }
 
-      officePerformance.totalComplaints += 1
-      officePerformance.updatedAt = new Date()
-      await officePerformance.save()
+      // Update office performance metrics
+      await updateOfficeCounters(stakeholderOfficeId, COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE, { totalComplaints: 1 })
 
       res.status(201).json({
         message: "Complaint submitted successfully",
-        complaint,
+        complaint: complaintForViewer(complaint, req.user),
+        acknowledgmentUrl: `/api/complaints/${complaint._id}/acknowledgment.pdf`,
       })
     }
   } catch (err) {
@@ -278,386 +659,1574 @@ router.post("/", auth, upload.array("attachments", 5), async (req, res) => {
   }
 })
 
-// @route   POST api/complaints/:id/escalate
-// @desc    Escalate a complaint to the next stage
+// @route   POST api/complaints/duplicates/check
+// @desc    Check a complaint draft against recent open complaints before submitting it
 // @access  Private (Citizen only)
-router.post("/:id/escalate", auth, async (req, res) => {
+router.post("/duplicates/check", auth, async (req, res) => {
   try {
     // Check if user is a citizen
     if (req.user.role !== USER_ROLES.CITIZEN) {
-      return res.status(403).json({ message: "Only citizens can escalate complaints" })
+      return res.status(403).json({ message: "Only citizens can submit complaints" })
     }
 
-    const complaint = await Complaint.findById(req.params.id)
+    const { title, description, stakeholderOfficeId, location, kifleketema, wereda } = req.body
 
-    if (!complaint) {
-      return res.status(404).json({ message: "Complaint not found" })
+    if (!stakeholderOfficeId || (!title && !description)) {
+      return res.status(400).json({ message: "Stakeholder office and complaint text are required" })
     }
 
-    // Check if the complaint belongs to the user
-    if (complaint.user.toString() !== req.user.id) {
-      return res.status(403).json({ message: "Not authorized" })
+    const matches = await findSimilarComplaints({
+      title,
+      description,
+      stakeholderOffice: stakeholderOfficeId,
+      location,
+      kifleketema,
+      wereda,
+    })
+
+    res.json({ duplicates: matches.map((match) => describeSimilarComplaint(match, req.user)) })
+  } catch (err) {
+    console.error("Check duplicates error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/anonymous
+// @desc    Submit an anonymous whistleblower complaint
+// @access  Public
+router.post("/anonymous", upload.array("attachments", 5), async (req, res) => {
+  try {
+    const { title, description, stakeholderOfficeId, location, kifleketema, wereda, categoryId, subCategoryId } =
+      req.body
+
+    if (!title || !description || !location) {
+      return res.status(400).json({ message: "Title, description and location are required" })
     }
 
-    // Check if the complaint can be escalated
-    if (complaint.status === COMPLAINT_STATUS.RESOLVED) {
-      return res.status(400).json({ message: "Cannot escalate a resolved complaint" })
+    const { error: severityError, amountInvolved, vulnerableGroups } = parseSeverityInputs(req.body)
+
+    if (severityError) {
+      return res.status(400).json({ message: severityError })
     }
 
-    const now = new Date()
-    let canEscalate = false
-    let nextStage = ""
-    let nextHandler = ""
-    let fromStage = ""
-    let toStage = ""
-    let dueDateField = ""
-
-    // Determine if the complaint can be escalated based on current stage and due date
-    switch (complaint.currentStage) {
-      case COMPLAINT_STAGES.STAKEHOLDER_FIRST:
-        // Check if response due date has passed and no response yet
-        if (now > complaint.stakeholderFirstResponseDue && complaint.status !== COMPLAINT_STATUS.IN_PROGRESS) {
-          canEscalate = true
-          nextStage = COMPLAINT_STAGES.STAKEHOLDER_SECOND
-          nextHandler = COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE
-          dueDateField = "stakeholderSecondResponseDue"
-        }
-        break
-
-      case COMPLAINT_STAGES.STAKEHOLDER_SECOND:
-        // Check if response due date has passed or there's a response but still unresolved
-        if (
-          now > complaint.stakeholderSecondResponseDue ||
-          (complaint.responses.length > 1 && complaint.status === COMPLAINT_STATUS.IN_PROGRESS)
-        ) {
-          canEscalate = true
-          nextStage = COMPLAINT_STAGES.WEREDA_FIRST
-          nextHandler = COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
-          fromStage = COMPLAINT_STAGES.STAKEHOLDER_SECOND
-          toStage = COMPLAINT_STAGES.WEREDA_FIRST
-          dueDateField = "weredaFirstResponseDue"
-        }
-        break
-
-      case COMPLAINT_STAGES.WEREDA_FIRST:
-        // Check if response due date has passed and no response yet
-        if (now > complaint.weredaFirstResponseDue && complaint.status !== COMPLAINT_STATUS.IN_PROGRESS) {
-          canEscalate = true
-          nextStage = COMPLAINT_STAGES.WEREDA_SECOND
-          nextHandler = COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
-          dueDateField = "weredaSecondResponseDue"
-        }
-        break
-
-      case COMPLAINT_STAGES.WEREDA_SECOND:
-        // Check if response due date has passed or there's a response but still unresolved
-        if (
-          now > complaint.weredaSecondResponseDue ||
-          (complaint.responses.length > 3 && complaint.status === COMPLAINT_STATUS.IN_PROGRESS)
-        ) {
-          canEscalate = true
-          nextStage = COMPLAINT_STAGES.KIFLEKETEMA_FIRST
-          nextHandler = COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION
-          fromStage = COMPLAINT_STAGES.WEREDA_SECOND
-          toStage = COMPLAINT_STAGES.KIFLEKETEMA_FIRST
-          dueDateField = "kifleketemaFirstResponseDue"
-        }
-        break
-
-      case COMPLAINT_STAGES.KIFLEKETEMA_FIRST:
-        // Check if response due date has passed and no response yet
-        if (now > complaint.kifleketemaFirstResponseDue && complaint.status !== COMPLAINT_STATUS.IN_PROGRESS) {
-          canEscalate = true
-          nextStage = COMPLAINT_STAGES.KIFLEKETEMA_SECOND
-          nextHandler = COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION
-          dueDateField = "kifleketemaSecondResponseDue"
-        }
-        break
-
-      case COMPLAINT_STAGES.KIFLEKETEMA_SECOND:
-        // Check if response due date has passed or there's a response but still unresolved
-        if (
-          now > complaint.kifleketemaSecondResponseDue ||
-          (complaint.responses.length > 5 && complaint.status === COMPLAINT_STATUS.IN_PROGRESS)
-        ) {
-          canEscalate = true
-          nextStage = COMPLAINT_STAGES.KENTIBA
-          nextHandler = COMPLAINT_HANDLERS.KENTIBA_BIRO
-          fromStage = COMPLAINT_STAGES.KIFLEKETEMA_SECOND
-          toStage = COMPLAINT_STAGES.KENTIBA
-        }
-        break
+    const { error: geoLocationError, geoLocation } = parseGeoLocation(req.body)
 
-      case COMPLAINT_STAGES.KENTIBA:
-        return res.status(400).json({ message: "Complaint is already at the final stage" })
+    if (geoLocationError) {
+      return res.status(400).json({ message: geoLocationError })
     }
 
-    if (!canEscalate) {
-      return res.status(400).json({
-        message:
-          "Cannot escalate at this time. Please wait for the response due date or a response from the current handler.",
-      })
+    // Verify stakeholder office exists and is approved
+    const stakeholderOffice = await User.findOne({
+      _id: stakeholderOfficeId,
+      role: USER_ROLES.STAKEHOLDER_OFFICE,
+      isApproved: true,
+      office: null, // Office accounts only, not their officers
+    })
+
+    if (!stakeholderOffice) {
+      return res.status(404).json({ message: "Stakeholder office not found or not approved" })
     }
 
-    // Update complaint
-    complaint.currentStage = nextStage
-    complaint.currentHandler = nextHandler
-    complaint.status = COMPLAINT_STATUS.PENDING
-    complaint.updatedAt = now
+    // Validate kifleketema and wereda
+    if (!kifleketema || !wereda) {
+      return res.status(400).json({ message: "Kifleketema and Wereda are required" })
+    }
 
-    // Set new due date if applicable
-    if (dueDateField) {
-      let dueDate
+    // Validate category
+    const { error: categoryError } = await validateCategory(categoryId, subCategoryId)
 
-      if (nextHandler === COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE) {
-        dueDate = new Date(now.getTime() + ESCALATION_TIMEFRAMES.STAKEHOLDER_RESPONSE)
-      } else if (nextHandler === COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION) {
-        dueDate = new Date(now.getTime() + ESCALATION_TIMEFRAMES.WEREDA_RESPONSE)
-      } else if (nextHandler === COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION) {
-        dueDate = new Date(now.getTime() + ESCALATION_TIMEFRAMES.KIFLEKETEMA_RESPONSE)
-      }
+    if (categoryError) {
+      return res.status(400).json({ message: categoryError })
+    }
 
-      complaint[dueDateField] = dueDate
+    // Warn about similar open complaints before creating a new one
+    const candidate = { title, description, stakeholderOffice: stakeholderOfficeId, location, kifleketema, wereda }
+
+    if (await warnAboutDuplicates(req, res, candidate)) {
+      return
     }
 
-    // Add to escalation history if moving to a new handler
-    if (fromStage && toStage) {
-      const reason = req.body.reason || "Escalated due to unresolved complaint"
+    // Generate a tracking code that is not in use yet
+    let trackingCode = generateTrackingCode()
+    while (await Complaint.exists({ trackingCode })) {
+      trackingCode = generateTrackingCode()
+    }
 
-      complaint.escalationHistory.push({
-        from:
-          complaint.currentHandler === COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
-            ? COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE
-            : COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION,
-        to: nextHandler,
-        reason,
-        date: now,
-      })
+    const passphrase = generatePassphrase()
 
-      // Record failure for the office
-      let officeId
-      let officeRole
-
-      if (fromStage === COMPLAINT_STAGES.STAKEHOLDER_SECOND) {
-        officeId = complaint.stakeholderOffice
-        officeRole = COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE
-      } else if (fromStage === COMPLAINT_STAGES.WEREDA_SECOND) {
-        // Find a Wereda officer
-        const weredaOfficer = await User.findOne({ role: USER_ROLES.WEREDA_ANTI_CORRUPTION })
-        if (weredaOfficer) {
-          officeId = weredaOfficer._id
-          officeRole = COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
-        }
-      } else if (fromStage === COMPLAINT_STAGES.KIFLEKETEMA_SECOND) {
-        // Find a Kifleketema officer
-        const kifleketemaOfficer = await User.findOne({ role: USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION })
-        if (kifleketemaOfficer) {
-          officeId = kifleketemaOfficer._id
-          officeRole = COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION
-        }
-      }
+    // No user reference or other identifying data is stored for anonymous complaints
+    const complaint = new Complaint({
+      isAnonymous: true,
+      trackingCode,
+      passphraseHash: await hashPassphrase(passphrase),
+      title,
+      description,
+      category: categoryId,
+      subCategory: subCategoryId || undefined,
+      stakeholderOffice: stakeholderOfficeId,
+      currentStage: COMPLAINT_STAGES.STAKEHOLDER_FIRST,
+      currentHandler: COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE,
+      status: COMPLAINT_STATUS.PENDING,
+      location,
+      kifleketema,
+      wereda,
+      // Not even the handling office gets the exact pin of a whistleblower
+      geoLocation: geoLocation && roundGeoLocation(geoLocation),
+      amountInvolved,
+      vulnerableGroups,
+    })
 
-      if (officeId && officeRole) {
-        let officePerformance = await OfficePerformance.findOne({
-          office: officeId,
-          officeRole,
-        })
+    const reporter = { role: ANONYMOUS_REPORTER_ROLE }
 
-        if (!officePerformance) {
-          officePerformance = new OfficePerformance({
-            office: officeId,
-            officeRole,
-          })
-        }
+    // Add attachments if any
+    const attachments = describeUploads(req.files, reporter, complaint.submittedAt)
+    complaint.attachments = attachments
 
-        officePerformance.escalatedComplaints += 1
-        officePerformance.failureRecords.push({
-          complaint: complaint._id,
-          escalatedFrom: fromStage,
-          escalatedTo: toStage,
-          reason,
-          date: now,
-        })
+    await autoAssign(complaint)
+    await assessSeverity(complaint, complaint.submittedAt)
+    await complaint.save()
 
-        officePerformance.updatedAt = now
-        await officePerformance.save()
-      }
-    } else {
-      // Add to escalation history even for same handler escalations (like first to second stage)
-      const reason = req.body.reason || "Escalated to next stage"
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.SUBMITTED, reporter, {
+      after: {
+        title,
+        description,
+        category: categoryId,
+        subCategory: subCategoryId,
+        stakeholderOffice: stakeholderOfficeId,
+        location,
+        kifleketema,
+        wereda,
+        amountInvolved,
+        vulnerableGroups,
+      },
+      date: complaint.submittedAt,
+    })
+    await recordAttachmentEvents(complaint, reporter, attachments, complaint.submittedAt)
 
-      complaint.escalationHistory.push({
-        from: complaint.currentHandler,
-        to: nextHandler,
-        reason,
-        date: now,
-      })
+    if (complaint.assignee) {
+      await recordAssignmentEvent(complaint, null, undefined, complaint.submittedAt)
     }
 
-    await complaint.save()
-
-    res.json({
-      message: "Complaint escalated successfully",
-      complaint,
+    // Update office performance metrics
+    await updateOfficeCounters(stakeholderOfficeId, COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE, { totalComplaints: 1 })
+
+    // The passphrase is only returned here; it cannot be recovered later
+    res.status(201).json({
+      message: "Anonymous complaint submitted successfully. Keep your tracking code and passphrase safe.",
+      trackingCode,
+      passphrase,
+      complaint: {
+        _id: complaint._id,
+        reference: complaint.reference,
+        currentStage: complaint.currentStage,
+        status: complaint.status,
+        submittedAt: complaint.submittedAt,
+        stakeholderFirstResponseDue: complaint.stakeholderFirstResponseDue,
+      },
+      acknowledgmentUrl: `/api/complaints/${complaint._id}/acknowledgment.pdf`,
     })
   } catch (err) {
-    console.error("Escalate complaint error:", err)
+    console.error("Create anonymous complaint error:", err)
     res.status(500).json({ message: "Server error" })
   }
 })
 
-// @route   POST api/complaints/:id/respond
-// @desc    Respond to a complaint
-// @access  Private (Office handlers only)
-router.post("/:id/respond", auth, async (req, res) => {
+// @route   POST api/complaints/anonymous/access
+// @desc    Exchange a tracking code and passphrase for a token scoped to one anonymous complaint
+// @access  Public
+router.post("/anonymous/access", async (req, res) => {
   try {
-    const { response, internalComment } = req.body
-    // Remove status from the request body - only citizens can change status
+    const { trackingCode, passphrase } = req.body
+    const normalizedCode = normalizeTrackingCode(trackingCode)
 
-    // Check if user has the right role to respond
-    if (
-      ![
-        USER_ROLES.STAKEHOLDER_OFFICE,
-        USER_ROLES.WEREDA_ANTI_CORRUPTION,
-        USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION,
-        USER_ROLES.KENTIBA_BIRO,
-      ].includes(req.user.role)
-    ) {
-      return res.status(403).json({ message: "Not authorized to respond to complaints" })
+    if (!normalizedCode || !passphrase) {
+      return res.status(400).json({ message: "Invalid tracking code or passphrase" })
     }
 
-    const complaint = await Complaint.findById(req.params.id)
+    const complaint = await Complaint.findOne({ trackingCode: normalizedCode, isAnonymous: true }).select(
+      "+passphraseHash",
+    )
 
-    if (!complaint) {
-      return res.status(404).json({ message: "Complaint not found" })
+    if (!complaint || !(await verifyPassphrase(passphrase, complaint.passphraseHash))) {
+      return res.status(400).json({ message: "Invalid tracking code or passphrase" })
     }
 
-    // Check if the user is the current handler
-    let isAuthorized = false
+    // Token payload carries no user id, only the complaint it unlocks
+    const payload = {
+      user: {
+        role: ANONYMOUS_REPORTER_ROLE,
+        complaint: complaint.id,
+      },
+    }
 
-    if (
-      req.user.role === USER_ROLES.STAKEHOLDER_OFFICE &&
-      complaint.currentHandler === COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE &&
-      complaint.stakeholderOffice.toString() === req.user.id
-    ) {
-      isAuthorized = true
-    } else if (
-      req.user.role === USER_ROLES.WEREDA_ANTI_CORRUPTION &&
-      complaint.currentHandler === COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
-    ) {
-      isAuthorized = true
-    } else if (
-      req.user.role === USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION &&
-      complaint.currentHandler === COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION
-    ) {
-      isAuthorized = true
-    } else if (
-      req.user.role === USER_ROLES.KENTIBA_BIRO &&
-      complaint.currentHandler === COMPLAINT_HANDLERS.KENTIBA_BIRO
-    ) {
-      isAuthorized = true
+    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "2h" })
+
+    res.json({ token, complaintId: complaint.id })
+  } catch (err) {
+    console.error("Anonymous access error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Least number of trailing phone digits a citizen has to repeat to look up a complaint by reference
+const PHONE_VERIFICATION_DIGITS = 4
+
+// Failed lookups allowed per reference and per client before further attempts are refused for a while.
+// References are sequential and four digits are quick to guess, so both have to be limited.
+const lookupLimiters = {
+  reference: createAttemptLimiter({ maxAttempts: 5, windowMs: 60 * 60 * 1000 }),
+  client: createAttemptLimiter({ maxAttempts: 20, windowMs: 15 * 60 * 1000 }),
+}
+
+// @route   GET api/complaints/lookup/:reference
+// @desc    Look up a complaint's progress by reference number and phone digits or anonymous passphrase
+// @access  Public
+router.get("/lookup/:reference", async (req, res) => {
+  try {
+    const { phoneDigits, passphrase } = req.query
+
+    if (!isReference(req.params.reference) || (!phoneDigits && !passphrase)) {
+      return res.status(400).json({ message: "A reference number and phone digits or passphrase are required" })
     }
 
-    if (!isAuthorized) {
-      return res.status(403).json({ message: "Not authorized to respond to this complaint" })
+    const reference = normalizeReference(req.params.reference)
+    const now = Date.now()
+    const retryAfter = Math.max(
+      lookupLimiters.reference.retryAfter(reference, now),
+      lookupLimiters.client.retryAfter(req.ip, now),
+    )
+
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(Math.ceil(retryAfter / 1000)))
+      return res.status(429).json({ message: "Too many lookup attempts. Please try again later." })
     }
 
-    // Add response - always set status to "in_progress" when an admin responds
-    // Only citizens can change to "resolved" or "escalated"
-    complaint.responses.push({
-      responder: req.user.id,
-      responderRole: complaint.currentHandler,
-      response,
-      status: COMPLAINT_STATUS.IN_PROGRESS, // Always set to in_progress
-      internalComment,
-      createdAt: new Date(),
-    })
+    const complaint = await Complaint.findOne({ reference }).select("+passphraseHash").populate("user", "phone")
 
-    // Update complaint status to in_progress
-    complaint.status = COMPLAINT_STATUS.IN_PROGRESS
-    complaint.updatedAt = new Date()
+    let verified = false
 
-    await complaint.save()
+    if (complaint && complaint.isAnonymous) {
+      verified = await verifyPassphrase(passphrase, complaint.passphraseHash)
+    } else if (complaint && complaint.user && complaint.user.phone && phoneDigits) {
+      const digits = String(phoneDigits).replace(/\D/g, "")
+      verified = digits.length >= PHONE_VERIFICATION_DIGITS && complaint.user.phone.replace(/\D/g, "").endsWith(digits)
+    }
+
+    // Same answer for unknown references and wrong verification, so references cannot be probed
+    if (!verified) {
+      lookupLimiters.reference.recordFailure(reference, now)
+      lookupLimiters.client.recordFailure(req.ip, now)
+
+      return res.status(404).json({ message: "No complaint matches this reference and verification" })
+    }
+
+    lookupLimiters.reference.reset(reference)
 
     res.json({
-      message: "Response submitted successfully",
-      complaint,
+      reference: complaint.reference,
+      currentStage: complaint.currentStage,
+      status: complaint.status,
+      submittedAt: complaint.submittedAt,
+      updatedAt: complaint.updatedAt,
+      currentDueDate: getCurrentDueDate(complaint),
+      resolvedAt: complaint.resolution ? complaint.resolution.resolvedAt : undefined,
     })
   } catch (err) {
-    console.error("Respond to complaint error:", err)
+    console.error("Complaint lookup error:", err)
     res.status(500).json({ message: "Server error" })
   }
 })
 
-// @route   GET api/complaints
-// @desc    Get complaints based on user role
-// @access  Private
-router.get("/", auth, async (req, res) => {
+// @route   POST api/complaints/:id/details
+// @desc    Add details and attachments to an open complaint
+// @access  Private (Citizen or anonymous reporter of the complaint)
+router.post("/:id/details", reporterAuth, upload.array("attachments", 5), async (req, res) => {
   try {
-    console.log("User role:", req.user.role)
-    console.log("Query params:", req.query)
+    // Check if user is a citizen or anonymous reporter
+    if (!REPORTER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: "Only citizens can add complaint details" })
+    }
 
-    const query = {}
+    const { details } = req.body
+    const hasFiles = req.files && req.files.length > 0
 
-    // Filter based on user role
-    if (req.user.role === USER_ROLES.CITIZEN) {
-      // Citizens can only see their own complaints
-      query.user = req.user.id
-    } else if (req.user.role === USER_ROLES.STAKEHOLDER_OFFICE) {
-      // Stakeholder offices can only see complaints directed to them
-      query.stakeholderOffice = req.user.id
-    } else if (req.user.role === USER_ROLES.WEREDA_ANTI_CORRUPTION) {
-      // Wereda officers can see complaints at their level and in their wereda
-      query.currentHandler = COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
+    if ((!details || !details.trim()) && !hasFiles) {
+      return res.status(400).json({ message: "Details or attachments are required" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    // Check if the complaint belongs to the user
+    if (!isComplaintOwner(complaint, req.user)) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    if (isClosed(complaint)) {
+      return res.status(400).json({ message: `Cannot add details to a ${complaint.status} complaint` })
+    }
+
+    const now = new Date()
+    const previousDetails = complaint.additionalDetails
+
+    if (details && details.trim()) {
+      complaint.additionalDetails = previousDetails ? `${previousDetails}\n\n${details.trim()}` : details.trim()
+    }
+
+    // Add new attachments if any
+    const attachments = describeUploads(req.files, req.user, now)
+    complaint.attachments.push(...attachments)
+
+    complaint.updatedAt = now
+    await complaint.save()
+
+    if (details && details.trim()) {
+      await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.EDITED, req.user, {
+        before: { additionalDetails: previousDetails },
+        after: { additionalDetails: complaint.additionalDetails },
+        date: now,
+      })
+    }
+    await recordAttachmentEvents(complaint, req.user, attachments, now)
+
+    res.json({
+      message: "Complaint details added successfully",
+      complaint: complaintForViewer(complaint, req.user),
+    })
+  } catch (err) {
+    console.error("Add complaint details error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/escalate
+// @desc    Escalate a complaint to the next stage
+// @access  Private (Citizen only)
+router.post("/:id/escalate", reporterAuth, async (req, res) => {
+  try {
+    // Check if user is a citizen or anonymous reporter
+    if (!REPORTER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: "Only citizens can escalate complaints" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    // Check if the complaint belongs to the user
+    if (!isComplaintOwner(complaint, req.user)) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    // Check if the complaint can be escalated based on its current stage and due date
+    const now = new Date()
+    const escalation = canPerform("escalate", complaint, req.user, now)
+
+    if (!escalation.allowed) {
+      return res.status(400).json({ message: escalation.reason })
+    }
+
+    // Escalating past a response at this stage counts against its template in the usage statistics
+    const latestResponse = complaint.responses[complaint.responses.length - 1]
+
+    if (complaint.status === COMPLAINT_STATUS.IN_PROGRESS && latestResponse && !latestResponse.outcome) {
+      latestResponse.outcome = RESPONSE_OUTCOMES.ESCALATED
+    }
+
+    const reason = req.body.reason || "Escalated due to unresolved complaint"
+    const transition = await advanceStage(complaint, reason, now)
+
+    // Record failure for the office if the complaint moved to a new handler
+    await recordEscalationFailure(complaint, transition, reason, now)
+
+    await complaint.save()
+    await recordEscalationEvent(complaint, transition, req.user, reason, now)
+    await leaveCaseGroupOnEscalation(complaint, transition, req.user, now)
+
+    res.json({
+      message: "Complaint escalated successfully",
+      complaint: complaintForViewer(complaint, req.user),
+    })
+  } catch (err) {
+    console.error("Escalate complaint error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/reject-response
+// @desc    Reject the current handler's response and move the complaint to the next stage
+// @access  Private (Citizen only)
+router.post("/:id/reject-response", reporterAuth, async (req, res) => {
+  try {
+    // Check if user is a citizen or anonymous reporter
+    if (!REPORTER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: "Only citizens can reject responses" })
+    }
+
+    const { responseId, reasonCategory, reason } = req.body
+
+    if (!Object.values(RESPONSE_REJECTION_REASONS).includes(reasonCategory)) {
+      return res.status(400).json({ message: "A valid rejection reason category is required" })
+    }
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: "Rejection reason is required" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    // Check if the complaint belongs to the user
+    if (!isComplaintOwner(complaint, req.user)) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const rejection = canPerform("rejectResponse", complaint, req.user)
+
+    if (!rejection.allowed) {
+      return res.status(400).json({ message: rejection.reason })
+    }
+
+    // Only the latest response, given at the current stage, can be rejected
+    const latestResponse = complaint.responses[complaint.responses.length - 1]
+
+    if (responseId && latestResponse._id.toString() !== responseId) {
+      return res.status(400).json({ message: "Only the latest response can be rejected" })
+    }
+
+    const now = new Date()
+    latestResponse.rejection = {
+      category: reasonCategory,
+      reason: reason.trim(),
+      rejectedAt: now,
+    }
+    latestResponse.outcome = RESPONSE_OUTCOMES.REJECTED
+
+    const stageReason = `Response rejected by citizen: ${reason.trim()}`
+    const transition = await advanceStage(complaint, stageReason, now)
+
+    // Record failure for the office if the complaint moved to a new handler
+    await recordEscalationFailure(complaint, transition, stageReason, now)
+    await recordResponseRejection(complaint, latestResponse, now)
+
+    await complaint.save()
+
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.RESPONSE_REJECTED, req.user, {
+      after: { response: latestResponse._id, category: reasonCategory, reason: reason.trim() },
+      date: now,
+    })
+    await recordEscalationEvent(complaint, transition, req.user, stageReason, now)
+    await leaveCaseGroupOnEscalation(complaint, transition, req.user, now)
+
+    res.json({
+      message: "Response rejected and complaint moved to the next stage",
+      complaint: complaintForViewer(complaint, req.user),
+    })
+  } catch (err) {
+    console.error("Reject response error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/respond
+// @desc    Respond to a complaint
+// @access  Private (Office handlers only)
+router.post("/:id/respond", auth, evidenceUpload.array("attachments", 5), async (req, res) => {
+  // Evidence is stored before the request is checked; remove it again when the response is refused
+  const reject = async (status, message) => {
+    await discardStoredUploads(req.files)
+    return res.status(status).json({ message })
+  }
+
+  try {
+    const { response, internalComment } = req.body
+    // Remove status from the request body - only citizens can change status
+
+    // Check if user has the right role to respond
+    if (
+      ![
+        USER_ROLES.STAKEHOLDER_OFFICE,
+        USER_ROLES.WEREDA_ANTI_CORRUPTION,
+        USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION,
+        USER_ROLES.KENTIBA_BIRO,
+      ].includes(req.user.role)
+    ) {
+      return reject(403, "Not authorized to respond to complaints")
+    }
+
+    // Evidence is citizen-visible unless marked internal, per file or for all files at once
+    const visibility = parseVisibility(req.body.attachmentVisibility, (req.files || []).length)
+
+    if (!visibility) {
+      return reject(400, "attachmentVisibility must be citizen or internal, once or once per attachment")
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return reject(404, "Complaint not found")
+    }
+
+    // Check if the user is the current handler
+    const respond = canPerform("respond", complaint, req.user)
+
+    if (!respond.allowed) {
+      return reject(403, respond.reason)
+    }
+
+    // A response written from a template counts towards the template's usage statistics.
+    // Without text of its own, the response is the template with its placeholders filled in.
+    let template = null
+    let responseText = response
+
+    if (req.body.templateId) {
+      const populated = await Complaint.findById(complaint._id)
+        .populate("user", "firstName")
+        .populate("stakeholderOffice", "officeName officeType")
+      const officeType = populated.stakeholderOffice ? populated.stakeholderOffice.officeType : null
+
+      template = await findUsableTemplate(req.body.templateId, req.user, officeType)
+
+      if (!template) {
+        return reject(400, "Response template not found or not suitable for this complaint")
+      }
+
+      if (!response || !response.trim()) {
+        responseText = renderTemplate(template.body, populated)
+      }
+    }
+
+    const now = new Date()
+    const attachments = describeUploads(req.files, req.user, now).map((attachment, index) => ({
+      ...attachment,
+      visibility: visibility[index],
+    }))
+
+    // Add response - always set status to "in_progress" when an admin responds
+    // Only citizens can change to "resolved" or "escalated"
+    complaint.responses.push({
+      responder: req.user.id,
+      responderRole: complaint.currentHandler,
+      responderOffice: getOfficeId(req.user),
+      response: responseText,
+      status: COMPLAINT_STATUS.IN_PROGRESS, // Always set to in_progress
+      internalComment,
+      template: template ? template._id : undefined,
+      attachments,
+      createdAt: now,
+    })
+
+    // Update complaint status to in_progress
+    const previousStatus = complaint.status
+    complaint.status = COMPLAINT_STATUS.IN_PROGRESS
+    complaint.updatedAt = now
+
+    await complaint.save()
+
+    // Only the names of citizen-visible evidence go on the timeline citizens read
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.RESPONDED, req.user, {
+      before: { status: previousStatus },
+      after: {
+        status: complaint.status,
+        response: responseText,
+        template: template ? template._id : undefined,
+        attachments: attachments
+          .filter((attachment) => attachment.visibility === ATTACHMENT_VISIBILITY.CITIZEN)
+          .map((attachment) => attachment.originalName),
+      },
+      internalComment,
+    })
+
+    res.json({
+      message: "Response submitted successfully",
+      complaint,
+    })
+  } catch (err) {
+    console.error("Respond to complaint error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/directives
+// @desc    Order a lower office to take a corrective action on a complaint by a deadline
+// @access  Private (Kentiba Biro only)
+router.post("/:id/directives", auth, async (req, res) => {
+  try {
+    // Check if user is Kentiba Biro
+    if (req.user.role !== USER_ROLES.KENTIBA_BIRO) {
+      return res.status(403).json({ message: "Only Kentiba Biro can issue directives" })
+    }
+
+    const { targetOffice, instruction } = req.body
+
+    if (!instruction || !instruction.trim()) {
+      return res.status(400).json({ message: "Instruction is required" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    const issue = canPerform("issueDirective", complaint, req.user)
+
+    if (!issue.allowed) {
+      return res.status(400).json({ message: issue.reason })
+    }
+
+    // Directives go to office accounts, not to individual officers
+    const office = mongoose.Types.ObjectId.isValid(targetOffice)
+      ? await User.findOne({ _id: targetOffice, role: { $in: DIRECTIVE_TARGET_ROLES }, office: null })
+      : null
+
+    if (!office) {
+      return res.status(404).json({ message: "Target office not found" })
+    }
+
+    // The deadline is a date, or a number of working days from now
+    const now = new Date()
+    let dueAt
+
+    if (req.body.dueAt) {
+      dueAt = new Date(req.body.dueAt)
+
+      if (Number.isNaN(dueAt.getTime()) || dueAt <= now) {
+        return res.status(400).json({ message: "dueAt must be a date in the future" })
+      }
+    } else {
+      const workingDays =
+        req.body.workingDays === undefined ? DIRECTIVE_DEFAULT_WORKING_DAYS : Number(req.body.workingDays)
+
+      if (!Number.isInteger(workingDays) || workingDays < 1) {
+        return res.status(400).json({ message: "workingDays must be a positive whole number" })
+      }
+
+      dueAt = await addWorkingDays(now, workingDays)
+    }
+
+    complaint.directives.push({
+      issuedBy: req.user.id,
+      targetOffice: office._id,
+      targetRole: office.role,
+      instruction: instruction.trim(),
+      issuedAt: now,
+      dueAt,
+    })
+    const directive = complaint.directives[complaint.directives.length - 1]
+
+    await complaint.save()
+    await recordDirectiveCompliance(directive, { directivesReceived: 1 }, now)
+
+    // The instruction itself stays with the offices
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.DIRECTIVE_ISSUED, req.user, {
+      after: { directive: directive._id, targetRole: directive.targetRole, dueAt },
+      message: "Kentiba Biro directed an office to take corrective action",
+      internalComment: directive.instruction,
+      date: now,
+    })
+    await notifyUser(
+      office._id,
+      complaint,
+      COMPLAINT_EVENT_TYPES.DIRECTIVE_ISSUED,
+      `Kentiba Biro issued a directive on complaint ${complaint.reference}, due ${dueAt.toDateString()}: ` +
+        directive.instruction,
+    )
+
+    res.status(201).json({
+      message: "Directive issued",
+      directive,
+    })
+  } catch (err) {
+    console.error("Issue directive error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/directives/:directiveId/acknowledge
+// @desc    Confirm that the office received a directive and will carry it out
+// @access  Private (Directed office only)
+router.post("/:id/directives/:directiveId/acknowledge", auth, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id)
+    const directive = complaint && complaint.directives.id(req.params.directiveId)
+
+    if (!directive) {
+      return res.status(404).json({ message: "Directive not found" })
+    }
+
+    const acknowledgement = canActOnDirective("acknowledge", directive, req.user)
+
+    if (!acknowledgement.allowed) {
+      return res.status(403).json({ message: acknowledgement.reason })
+    }
+
+    const now = new Date()
+    directive.status = DIRECTIVE_STATUS.ACKNOWLEDGED
+    directive.acknowledgedBy = req.user.id
+    directive.acknowledgedAt = now
+
+    await complaint.save()
+
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.DIRECTIVE_ACKNOWLEDGED, req.user, {
+      after: { directive: directive._id },
+      date: now,
+    })
+    await notifyUser(
+      directive.issuedBy,
+      complaint,
+      COMPLAINT_EVENT_TYPES.DIRECTIVE_ACKNOWLEDGED,
+      `The directive on complaint ${complaint.reference} was acknowledged`,
+    )
+
+    res.json({
+      message: "Directive acknowledged",
+      directive,
+    })
+  } catch (err) {
+    console.error("Acknowledge directive error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/directives/:directiveId/complete
+// @desc    Report that a directive was carried out, with evidence
+// @access  Private (Directed office only)
+router.post(
+  "/:id/directives/:directiveId/complete",
+  auth,
+  directiveEvidenceUpload.array("evidence", 5),
+  async (req, res) => {
+    // Evidence is stored before the request is checked; remove it again when the report is refused
+    const reject = async (status, message) => {
+      await discardStoredUploads(req.files)
+      return res.status(status).json({ message })
+    }
+
+    try {
+      const { report } = req.body
+
+      if (!report || !report.trim()) {
+        return reject(400, "Please describe the action taken")
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return reject(400, "Evidence of the action taken is required")
+      }
+
+      const complaint = await Complaint.findById(req.params.id)
+      const directive = complaint && complaint.directives.id(req.params.directiveId)
+
+      if (!directive) {
+        return reject(404, "Directive not found")
+      }
+
+      const completion = canActOnDirective("complete", directive, req.user)
+
+      if (!completion.allowed) {
+        return reject(403, completion.reason)
+      }
+
+      // Evidence stays between the offices and Kentiba Biro
+      const now = new Date()
+      directive.status = DIRECTIVE_STATUS.COMPLETED
+      directive.completionReport = report.trim()
+      directive.evidence = describeUploads(req.files, req.user, now).map((attachment) => ({
+        ...attachment,
+        visibility: ATTACHMENT_VISIBILITY.INTERNAL,
+      }))
+      directive.completedBy = req.user.id
+      directive.completedAt = now
+
+      await complaint.save()
+
+      const onTime = now <= directive.dueAt
+      await recordDirectiveCompliance(
+        directive,
+        { directivesCompleted: 1, directivesCompletedOnTime: onTime ? 1 : 0 },
+        now,
+      )
+
+      await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.DIRECTIVE_COMPLETED, req.user, {
+        after: { directive: directive._id, onTime },
+        internalComment: directive.completionReport,
+        date: now,
+      })
+      await notifyUser(
+        directive.issuedBy,
+        complaint,
+        COMPLAINT_EVENT_TYPES.DIRECTIVE_COMPLETED,
+        `The directive on complaint ${complaint.reference} was reported as carried out`,
+      )
+
+      res.json({
+        message: "Directive completed",
+        directive,
+      })
+    } catch (err) {
+      console.error("Complete directive error:", err)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// @route   POST api/complaints/:id/mark-duplicate
+// @desc    Mark a complaint as a duplicate of a master complaint
+// @access  Private (Current handler only)
+router.post("/:id/mark-duplicate", auth, async (req, res) => {
+  try {
+    const { masterId } = req.body
+
+    if (!masterId || masterId === req.params.id) {
+      return res.status(400).json({ message: "A different master complaint is required" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    // Check if the user is the current handler
+    const mark = canPerform("markDuplicate", complaint, req.user)
+
+    if (!mark.allowed) {
+      return res.status(403).json({ message: mark.reason })
+    }
+
+    const master = await Complaint.findById(masterId)
+
+    if (!master) {
+      return res.status(404).json({ message: "Master complaint not found" })
+    }
+
+    if (master.isDuplicate) {
+      return res.status(400).json({ message: "The master complaint is itself marked as a duplicate" })
+    }
+
+    if (master.stakeholderOffice.toString() !== complaint.stakeholderOffice.toString()) {
+      return res.status(400).json({ message: "Duplicates must be directed to the same stakeholder office" })
+    }
+
+    if (isClosed(master)) {
+      return res.status(400).json({ message: `The master complaint is already ${master.status}` })
+    }
+
+    const now = new Date()
+    complaint.relatedComplaint = master._id
+    complaint.isDuplicate = true
+    complaint.duplicateMarkedBy = req.user.id
+    complaint.duplicateMarkedAt = now
+    complaint.updatedAt = now
+
+    await complaint.save()
+
+    // The office received one case, not two
+    await updateOfficeCounters(complaint.stakeholderOffice, COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE, {
+      totalComplaints: -1,
+      duplicateComplaints: 1,
+    })
+
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.MARKED_DUPLICATE, req.user, {
+      after: { relatedComplaint: master._id },
+      message: req.body.reason,
+      date: now,
+    })
+    await notifyComplaintOwner(
+      complaint,
+      COMPLAINT_EVENT_TYPES.MARKED_DUPLICATE,
+      `Your complaint "${complaint.title}" is being handled together with an existing case about the same incident`,
+    )
+
+    res.json({
+      message: "Complaint marked as duplicate",
+      complaint,
+    })
+  } catch (err) {
+    console.error("Mark duplicate error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE api/complaints/:id/duplicate
+// @desc    Remove the duplicate mark from a complaint
+// @access  Private (Current handler only)
+router.delete("/:id/duplicate", auth, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    if (!complaint.isDuplicate) {
+      return res.status(400).json({ message: "Complaint is not marked as a duplicate" })
+    }
+
+    // Check if the user is the current handler
+    const unmark = canPerform("unmarkDuplicate", complaint, req.user)
+
+    if (!unmark.allowed) {
+      return res.status(403).json({ message: unmark.reason })
+    }
+
+    const masterId = complaint.relatedComplaint
+    complaint.relatedComplaint = undefined
+    complaint.isDuplicate = false
+    complaint.duplicateMarkedBy = undefined
+    complaint.duplicateMarkedAt = undefined
+    complaint.updatedAt = new Date()
+
+    await complaint.save()
+
+    await updateOfficeCounters(complaint.stakeholderOffice, COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE, {
+      totalComplaints: 1,
+      duplicateComplaints: -1,
+    })
+
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.UNMARKED_DUPLICATE, req.user, {
+      before: { relatedComplaint: masterId },
+    })
+
+    res.json({
+      message: "Duplicate mark removed",
+      complaint,
+    })
+  } catch (err) {
+    console.error("Unmark duplicate error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/complaints/:id/duplicates
+// @desc    Get the complaints marked as duplicates of a master complaint
+// @access  Private (Office handlers only)
+router.get("/:id/duplicates", auth, async (req, res) => {
+  try {
+    if (REPORTER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    if (!canViewComplaint(complaint, req.user)) {
+      return res.status(403).json({ message: "Not authorized to view this complaint" })
+    }
+
+    const duplicates = await Complaint.find({ relatedComplaint: complaint._id, isDuplicate: true })
+      .select("title description currentStage status submittedAt duplicateMarkedAt")
+      .sort({ submittedAt: 1 })
+
+    res.json({ duplicates })
+  } catch (err) {
+    console.error("Get duplicates error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/transfer
+// @desc    Transfer a misdirected complaint to a different stakeholder office
+// @access  Private (Current stakeholder office or wereda officers only)
+router.post("/:id/transfer", auth, async (req, res) => {
+  try {
+    const { targetOfficeId, reason } = req.body
+
+    if (!targetOfficeId || !reason) {
+      return res.status(400).json({ message: "Target office and reason are required" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    const transfer = canPerform("transfer", complaint, req.user)
+
+    if (!transfer.allowed) {
+      return res.status(403).json({ message: transfer.reason })
+    }
 
-      // Get user's kifleketema and wereda
+    // Wereda officers can only transfer complaints from their own wereda
+    if (req.user.role === USER_ROLES.WEREDA_ANTI_CORRUPTION) {
       const user = await User.findById(req.user.id)
+
       if (user && user.kifleketema && user.wereda) {
-        query.kifleketema = user.kifleketema
-        query.wereda = user.wereda
+        if (complaint.kifleketema !== user.kifleketema || complaint.wereda !== user.wereda) {
+          return res.status(403).json({ message: "Complaint is outside your wereda" })
+        }
       }
-    } else if (req.user.role === USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION) {
-      // Kifleketema officers can see complaints at their level and in their kifleketema
-      query.currentHandler = COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION
+    }
+
+    if (complaint.stakeholderOffice.toString() === targetOfficeId) {
+      return res.status(400).json({ message: "Complaint is already directed to this office" })
+    }
+
+    // Verify target office exists and is approved
+    const targetOffice = await User.findOne({
+      _id: targetOfficeId,
+      role: USER_ROLES.STAKEHOLDER_OFFICE,
+      isApproved: true,
+      office: null,
+    })
+
+    if (!targetOffice) {
+      return res.status(404).json({ message: "Stakeholder office not found or not approved" })
+    }
+
+    const now = new Date()
+    const previousAssignee = complaint.assignee
+    const { fromOffice, fromStage } = await transferToOffice(complaint, targetOffice._id, req.user, reason, now)
+
+    // The receiving office's own history counts towards the severity
+    await assessSeverity(complaint, now)
+    await shortenDeadlineForCritical(complaint, now)
+    await complaint.save()
+
+    // The office that received a misdirected complaint is not accountable for it
+    await clearEscalationFailures(complaint, fromOffice, COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE, now)
+    await updateOfficeCounters(fromOffice, COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE, {
+      totalComplaints: -1,
+      transferredComplaints: 1,
+    })
+    await updateOfficeCounters(targetOffice._id, COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE, { totalComplaints: 1 })
+
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.TRANSFERRED, req.user, {
+      before: { stakeholderOffice: fromOffice, stage: fromStage, assignee: previousAssignee },
+      after: { stakeholderOffice: targetOffice._id, stage: complaint.currentStage, assignee: complaint.assignee },
+      message: reason,
+      date: now,
+    })
+    await notifyComplaintOwner(
+      complaint,
+      COMPLAINT_EVENT_TYPES.TRANSFERRED,
+      `Your complaint "${complaint.title}" has been transferred to ${targetOffice.officeName}`,
+    )
+
+    res.json({
+      message: "Complaint transferred successfully",
+      complaint,
+    })
+  } catch (err) {
+    console.error("Transfer complaint error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   PUT api/complaints/:id/priority
+// @desc    Set the triage priority of a complaint, or "auto" to let its severity score decide again
+// @access  Private (Current handler and Kentiba Biro only)
+router.put("/:id/priority", auth, async (req, res) => {
+  try {
+    const { priority, reason } = req.body
+
+    if (priority !== "auto" && !Object.values(COMPLAINT_PRIORITIES).includes(priority)) {
+      return res.status(400).json({
+        message: `Priority must be "auto" or one of: ${Object.values(COMPLAINT_PRIORITIES).join(", ")}`,
+      })
+    }
+
+    if (priority !== "auto" && (!reason || !reason.trim())) {
+      return res.status(400).json({ message: "A reason is required to set the priority" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    const setPriorityCheck = canPerform("setPriority", complaint, req.user)
+
+    if (!setPriorityCheck.allowed) {
+      return res.status(403).json({ message: setPriorityCheck.reason })
+    }
+
+    const now = new Date()
+    const before = { priority: complaint.priority, override: Boolean(complaint.priorityOverride.level) }
+
+    if (priority === "auto") {
+      complaint.priorityOverride = undefined
+      await assessSeverity(complaint, now)
+    } else {
+      complaint.priorityOverride = { level: priority, reason: reason.trim(), setBy: req.user.id, setAt: now }
+      setPriority(complaint, priority)
+    }
+
+    await shortenDeadlineForCritical(complaint, now)
+    complaint.updatedAt = now
+    await complaint.save()
+
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.PRIORITY_CHANGED, req.user, {
+      before,
+      after: { priority: complaint.priority, override: priority !== "auto" },
+      internalComment: priority !== "auto" ? reason.trim() : undefined,
+      date: now,
+    })
+
+    res.json({
+      message: "Complaint priority updated",
+      priority: complaint.priority,
+      severity: complaint.severity,
+      priorityOverride: complaint.priorityOverride,
+      dueDate: getCurrentDueDate(complaint),
+    })
+  } catch (err) {
+    console.error("Set complaint priority error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/assign
+// @desc    Assign a complaint to an officer of the current handler office
+// @access  Private (Supervisors of the current handler office only)
+router.post("/:id/assign", auth, async (req, res) => {
+  try {
+    const { officerId } = req.body
+
+    if (!officerId) {
+      return res.status(400).json({ message: "Officer is required" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    // Check if the user supervises the current handler office
+    const assign = canPerform("assign", complaint, req.user)
+
+    if (!assign.allowed) {
+      return res.status(403).json({ message: assign.reason })
+    }
+
+    const handlerOfficeId = getHandlerOfficeId(complaint)
+
+    if (handlerOfficeId !== getOfficeId(req.user)) {
+      return res.status(403).json({ message: "Complaint is handled by a different office" })
+    }
+
+    // Complaints only go to officers of the office handling them
+    const officer = await User.findOne({ _id: officerId, office: handlerOfficeId, role: req.user.role })
+
+    if (!officer) {
+      return res.status(404).json({ message: "Officer not found in your office" })
+    }
+
+    const now = new Date()
+    const previousAssignee = complaint.assignee
+    complaint.assignee = officer._id
+    complaint.assignedAt = now
+    complaint.assignedBy = req.user.id
+    complaint.updatedAt = now
+
+    await complaint.save()
+
+    await recordAssignmentEvent(complaint, req.user, previousAssignee, now)
+    await notifyUser(
+      officer._id,
+      complaint,
+      COMPLAINT_EVENT_TYPES.ASSIGNED,
+      `Complaint "${complaint.title}" has been assigned to you`,
+    )
+
+    res.json({
+      message: "Complaint assigned successfully",
+      complaint,
+    })
+  } catch (err) {
+    console.error("Assign complaint error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/request-info
+// @desc    Ask the citizen for more information and pause the response deadline
+// @access  Private (Current handler only)
+router.post("/:id/request-info", auth, async (req, res) => {
+  try {
+    const { question } = req.body
+
+    if (!question || !question.trim()) {
+      return res.status(400).json({ message: "Please describe the information you need" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    // Check if the user is the current handler
+    const request = canPerform("requestInformation", complaint, req.user)
+
+    if (!request.allowed) {
+      return res.status(403).json({ message: request.reason })
+    }
+
+    const now = new Date()
+    const previousStatus = complaint.status
+    const informationRequest = await pauseForInformation(complaint, req.user, question.trim(), now)
+
+    await complaint.save()
+
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.INFORMATION_REQUESTED, req.user, {
+      before: { status: previousStatus },
+      after: {
+        status: complaint.status,
+        question: informationRequest.question,
+        replyDueAt: informationRequest.replyDueAt,
+      },
+      date: now,
+    })
+    await notifyComplaintOwner(
+      complaint,
+      COMPLAINT_EVENT_TYPES.INFORMATION_REQUESTED,
+      `More information is needed on your complaint "${complaint.title}": ${informationRequest.question}`,
+    )
+
+    res.json({
+      message: "Information requested from the citizen",
+      complaint,
+    })
+  } catch (err) {
+    console.error("Request information error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/provide-info
+// @desc    Answer a handler's information request and resume the response deadline
+// @access  Private (Citizen or anonymous reporter of the complaint)
+router.post("/:id/provide-info", reporterAuth, upload.array("attachments", 5), async (req, res) => {
+  try {
+    // Check if user is a citizen or anonymous reporter
+    if (!REPORTER_ROLES.includes(req.user.role)) {
+      return res.status(403).json({ message: "Only citizens can provide complaint information" })
+    }
+
+    const { reply } = req.body
+
+    if (!reply || !reply.trim()) {
+      return res.status(400).json({ message: "Reply is required" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    // Check if the complaint belongs to the user and is waiting for information
+    const provide = canPerform("provideInformation", complaint, req.user)
+
+    if (!provide.allowed) {
+      return res.status(400).json({ message: provide.reason })
+    }
+
+    const now = new Date()
+    const attachments = describeUploads(req.files, req.user, now)
+
+    await resumeAfterInformation(complaint, reply.trim(), attachments.map(({ _id }) => _id), now)
+
+    // Add new attachments if any
+    complaint.attachments.push(...attachments)
+
+    await complaint.save()
+
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.INFORMATION_PROVIDED, req.user, {
+      before: { status: COMPLAINT_STATUS.AWAITING_CITIZEN },
+      after: { status: complaint.status, reply: reply.trim(), dueDate: getCurrentDueDate(complaint) },
+      date: now,
+    })
+    await recordAttachmentEvents(complaint, req.user, attachments, now)
+
+    res.json({
+      message: "Information provided successfully",
+      complaint: complaintForViewer(complaint, req.user),
+    })
+  } catch (err) {
+    console.error("Provide information error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/complaints
+// @desc    Search complaints visible to the user's role, with filters, sorting and facet counts
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    console.log("User role:", req.user.role)
+    console.log("Query params:", req.query)
+
+    // Filter based on user role
+    const query = await buildRoleScope(req.user)
+
+    console.log("Final query:", query)
+
+    // Pagination
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 10, 1), 100)
+
+    // The user's filters narrow the role scoping query above; they cannot widen it
+    const { complaints, total, facets, error } = await searchComplaints(query, req.query, req.user, { page, limit })
+
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    console.log("Found complaints:", complaints.length)
+
+    res.json({
+      complaints: complaints.map((complaint) => complaintForViewer(complaint, req.user)),
+      facets,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    })
+  } catch (err) {
+    console.error("Get complaints error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/complaints/export
+// @desc    Export the complaints visible to the user's role, with the list filters, as CSV or XLSX
+// @access  Private (Office handlers only)
+router.get("/export", auth, async (req, res) => {
+  let exportLog = null
+
+  try {
+    // Citizens cannot export complaint lists
+    if (req.user.role === USER_ROLES.CITIZEN) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const format = req.query.format || "csv"
+
+    if (!["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({ message: "Format must be csv or xlsx" })
+    }
+
+    const { columns, error: columnsError } = parseColumns(req.query.columns)
+
+    if (columnsError) {
+      return res.status(400).json({ message: columnsError })
+    }
+
+    // Same role scoping and filters as the complaints list
+    const query = await buildRoleScope(req.user)
+    const { pipeline, sort, error } = await buildSearchPipeline(query, req.query, req.user)
+
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    // Record which filters were used, without the export options themselves
+    const filters = { ...req.query }
+    delete filters.format
+    delete filters.columns
+
+    exportLog = new ExportLog({ user: req.user.id, role: req.user.role, format, columns, filters })
+    await exportLog.save()
+
+    const fileName = `complaints-${new Date().toISOString().slice(0, 10)}.${format}`
+    res.setHeader(
+      "Content-Type",
+      format === "xlsx"
+        ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        : "text/csv; charset=utf-8",
+    )
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`)
+
+    const rowCount = await streamComplaintExport({ searchPipeline: pipeline, sort, columns, format, res })
+
+    exportLog.rowCount = rowCount
+    exportLog.status = "completed"
+    exportLog.completedAt = new Date()
+    await exportLog.save()
+  } catch (err) {
+    console.error("Export complaints error:", err)
+
+    if (exportLog) {
+      exportLog.status = "failed"
+      exportLog.completedAt = new Date()
+      await exportLog.save().catch(() => {})
+    }
+
+    // Once rows have been streamed the status can no longer change
+    if (res.headersSent) {
+      return res.end()
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/complaints/map/points
+// @desc    Get the pinned complaints visible to the user's role as clusters for a map zoom, with the list filters
+// @access  Private (Office handlers only)
+router.get("/map/points", auth, async (req, res) => {
+  try {
+    // Citizens cannot see where other complaints come from
+    if (req.user.role === USER_ROLES.CITIZEN) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const { zoom, error: zoomError } = parseZoom(req.query.zoom)
+
+    if (zoomError) {
+      return res.status(400).json({ message: zoomError })
+    }
+
+    // Same role scoping and filters as the complaints list, e.g. dateFrom, dateTo and bounds
+    const query = await buildRoleScope(req.user)
+    const { pipeline, error } = await buildSearchPipeline(query, req.query, req.user)
+
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const clusters = await clusterComplaints(pipeline, req.user, zoom)
+
+    res.json({
+      zoom,
+      total: clusters.reduce((total, cluster) => total + cluster.count, 0),
+      clusters,
+    })
+  } catch (err) {
+    console.error("Get complaint map points error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/complaints/map/heatmap
+// @desc    Get complaint counts per kifleketema or wereda visible to the user's role, with the list filters
+// @access  Private (Office handlers only)
+router.get("/map/heatmap", auth, async (req, res) => {
+  try {
+    // Citizens cannot see where other complaints come from
+    if (req.user.role === USER_ROLES.CITIZEN) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const level = req.query.level || "kifleketema"
+
+    if (!HEATMAP_LEVELS.includes(level)) {
+      return res.status(400).json({ message: `Level must be one of: ${HEATMAP_LEVELS.join(", ")}` })
+    }
+
+    const query = await buildRoleScope(req.user)
+    const { pipeline, error } = await buildSearchPipeline(query, req.query, req.user)
+
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    const areas = await heatmapByArea(pipeline, level)
+
+    res.json({
+      level,
+      max: areas.reduce((max, area) => Math.max(max, area.count), 0),
+      areas,
+    })
+  } catch (err) {
+    console.error("Get complaint heatmap error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
 
-      // Get user's kifleketema
-      const user = await User.findById(req.user.id)
-      if (user && user.kifleketema) {
-        query.kifleketema = user.kifleketema
-      }
+// @route   GET api/complaints/directives
+// @desc    Get Kentiba Biro directives: all of them for Kentiba Biro, those issued to their office for others
+// @access  Private (Kentiba Biro and directed offices only)
+router.get("/directives", auth, async (req, res) => {
+  try {
+    const match = {}
+
+    if (DIRECTIVE_TARGET_ROLES.includes(req.user.role)) {
+      match.targetOffice = new mongoose.Types.ObjectId(getOfficeId(req.user))
+      match.targetRole = req.user.role
     } else if (req.user.role === USER_ROLES.KENTIBA_BIRO) {
-      // Kentiba Biro can see all complaints by default
-      // But if stage is specified, filter by stage
-      if (req.query.stage) {
-        query.currentStage = req.query.stage
-      }
-    }
+      if (req.query.office) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.office)) {
+          return res.status(400).json({ message: "Invalid office" })
+        }
 
-    // Filter by status if provided
-    if (req.query.status && req.query.status !== "all") {
-      query.status = req.query.status
+        match.targetOffice = new mongoose.Types.ObjectId(req.query.office)
+      }
+    } else {
+      return res.status(403).json({ message: "Not authorized" })
     }
 
-    console.log("Final query:", query)
+    if (req.query.status) {
+      if (!Object.values(DIRECTIVE_STATUS).includes(req.query.status)) {
+        return res.status(400).json({ message: "Invalid status" })
+      }
 
-    // Pagination
-    const page = Number.parseInt(req.query.page) || 1
-    const limit = Number.parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
+      match.status = req.query.status
+    }
 
-    const complaints = await Complaint.find(query)
-      .populate("user", "firstName lastName email")
-      .populate("stakeholderOffice", "officeName officeType kifleketema wereda")
-      .sort({ updatedAt: -1 })
-      .skip(skip)
-      .limit(limit)
+    if (req.query.overdue === "true") {
+      match.overdueAt = { $ne: null }
+    }
 
-    console.log("Found complaints:", complaints.length)
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1)
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 10, 1), 100)
+    const directiveMatch = Object.entries(match).reduce(
+      (result, [field, value]) => ({ ...result, [`directives.${field}`]: value }),
+      {},
+    )
+
+    // One row per directive, the earliest deadline first
+    const [result] = await Complaint.aggregate([
+      { $match: { directives: { $elemMatch: match } } },
+      { $unwind: "$directives" },
+      { $match: directiveMatch },
+      {
+        $facet: {
+          directives: [
+            { $sort: { "directives.dueAt": 1, _id: 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: { reference: 1, title: 1, currentStage: 1, status: 1, directive: "$directives" } },
+            {
+              $project: {
+                "directive.evidence.storageKey": 0,
+                "directive.evidence.storageBackend": 0,
+                "directive.evidence.thumbnailKey": 0,
+                "directive.evidence.previewKey": 0,
+              },
+            },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ])
 
-    const total = await Complaint.countDocuments(query)
+    const directives = await User.populate(result.directives, [
+      { path: "directive.targetOffice", select: "officeName firstName lastName kifleketema wereda", model: User },
+      { path: "directive.issuedBy", select: "firstName lastName", model: User },
+    ])
+    const total = result.total.length > 0 ? result.total[0].count : 0
 
     res.json({
-      complaints,
+      directives,
       pagination: {
         total,
         page,
@@ -666,7 +2235,7 @@ router.get("/", auth, async (req, res) => {
       },
     })
   } catch (err) {
-    console.error("Get complaints error:", err)
+    console.error("Get directives error:", err)
     res.status(500).json({ message: "Server error" })
   }
 })
@@ -674,7 +2243,7 @@ router.get("/", auth, async (req, res) => {
 // @route   GET api/complaints/:id
 // @desc    Get complaint by ID
 // @access  Private
-router.get("/:id", auth, async (req, res) => {
+router.get("/:id", reporterAuth, async (req, res) => {
   try {
     const complaint = await Complaint.findById(req.params.id)
       .populate("user", "firstName lastName email phone")
@@ -687,57 +2256,394 @@ router.get("/:id", auth, async (req, res) => {
     }
 
     // Check if user has permission to view this complaint
-    let hasPermission = false
-
-    if (req.user.role === USER_ROLES.CITIZEN && complaint.user._id.toString() === req.user.id) {
-      // Citizens can view their own complaints
-      hasPermission = true
-    } else if (
-      req.user.role === USER_ROLES.STAKEHOLDER_OFFICE &&
-      complaint.stakeholderOffice._id.toString() === req.user.id
-    ) {
-      // Stakeholder offices can view complaints directed to them
-      hasPermission = true
-    } else if (
-      req.user.role === USER_ROLES.WEREDA_ANTI_CORRUPTION &&
-      [COMPLAINT_STAGES.WEREDA_FIRST, COMPLAINT_STAGES.WEREDA_SECOND].includes(complaint.currentStage)
-    ) {
-      // Wereda officers can view complaints at their level
-      hasPermission = true
-    } else if (
-      req.user.role === USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION &&
-      [COMPLAINT_STAGES.KIFLEKETEMA_FIRST, COMPLAINT_STAGES.KIFLEKETEMA_SECOND].includes(complaint.currentStage)
-    ) {
-      // Kifleketema officers can view complaints at their level
-      hasPermission = true
-    } else if (req.user.role === USER_ROLES.KENTIBA_BIRO) {
-      // Kentiba Biro can view all complaints
-      hasPermission = true
-    }
+    const hasPermission = canViewComplaint(complaint, req.user)
 
     if (!hasPermission) {
       return res.status(403).json({ message: "Not authorized to view this complaint" })
     }
 
-    res.json({ complaint })
+    res.json({ complaint: complaintForViewer(complaint, req.user) })
   } catch (err) {
     console.error("Get complaint error:", err)
     res.status(500).json({ message: "Server error" })
   }
 })
 
-// Add this new route after the existing routes
+// @route   GET api/complaints/:id/transitions
+// @desc    Get the actions the current user can take on a complaint
+// @access  Private
+router.get("/:id/transitions", reporterAuth, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    if (!canViewComplaint(complaint, req.user)) {
+      return res.status(403).json({ message: "Not authorized to view this complaint" })
+    }
+
+    res.json({
+      currentStage: complaint.currentStage,
+      currentHandler: complaint.currentHandler,
+      status: complaint.status,
+      currentDueDate: getCurrentDueDate(complaint),
+      transitions: getAvailableTransitions(complaint, req.user),
+    })
+  } catch (err) {
+    console.error("Get complaint transitions error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/complaints/:id/timeline
+// @desc    Get the event timeline of a complaint
+// @access  Private
+router.get("/:id/timeline", reporterAuth, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    if (!canViewComplaint(complaint, req.user)) {
+      return res.status(403).json({ message: "Not authorized to view this complaint" })
+    }
+
+    const events = await getTimeline(complaint._id, req.user)
+
+    res.json({ events })
+  } catch (err) {
+    console.error("Get complaint timeline error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Load a complaint with what the PDF documents print. Returns null when the user may not view it.
+const findComplaintForPdf = async (req, res) => {
+  const complaint = await Complaint.findById(req.params.id)
+    .populate("user", "firstName lastName")
+    .populate("stakeholderOffice", "officeName officeType officeAddress officePhone")
+    .populate("responses.responder", "firstName lastName officeName")
+    .populate("resolution.resolvedBy", "firstName lastName officeName")
+
+  if (!complaint) {
+    res.status(404).json({ message: "Complaint not found" })
+    return null
+  }
+
+  if (!canViewComplaint(complaint, req.user)) {
+    res.status(403).json({ message: "Not authorized to view this complaint" })
+    return null
+  }
+
+  return complaint
+}
+
+const sendPdfHeaders = (res, fileName) => {
+  res.setHeader("Content-Type", "application/pdf")
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`)
+}
+
+// @route   GET api/complaints/:id/acknowledgment.pdf
+// @desc    Download the printable acknowledgment slip of a complaint
+// @access  Private
+router.get("/:id/acknowledgment.pdf", reporterAuth, async (req, res) => {
+  try {
+    const complaint = await findComplaintForPdf(req, res)
+
+    if (!complaint) {
+      return
+    }
+
+    sendPdfHeaders(res, `complaint-${complaint.reference || complaint._id}-acknowledgment.pdf`)
+    await streamAcknowledgmentSlip(complaint, res)
+  } catch (err) {
+    console.error("Get acknowledgment slip error:", err)
+
+    if (res.headersSent) {
+      return res.end()
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/complaints/:id/summary.pdf
+// @desc    Download the case summary of a complaint: details, history, responses and resolution
+// @access  Private
+router.get("/:id/summary.pdf", reporterAuth, async (req, res) => {
+  try {
+    const complaint = await findComplaintForPdf(req, res)
+
+    if (!complaint) {
+      return
+    }
+
+    // Same events as the timeline, with handler-only notes hidden from reporters
+    const events = await getTimeline(complaint._id, req.user)
+
+    sendPdfHeaders(res, `complaint-${complaint.reference || complaint._id}-summary.pdf`)
+    streamCaseSummary(complaint, events, req.user, res)
+  } catch (err) {
+    console.error("Get case summary error:", err)
+
+    if (res.headersSent) {
+      return res.end()
+    }
+
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/complaints/:id/attachments
+// @desc    Get a complaint's attachments and response and directive evidence with short-lived download links
+// @access  Private
+router.get("/:id/attachments", reporterAuth, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    if (!canViewComplaint(complaint, req.user)) {
+      return res.status(403).json({ message: "Not authorized to view this complaint" })
+    }
+
+    const now = new Date()
+
+    const signedUrl = (file) => createSignedUrl(complaint.id, file, now).url
+    const withLinks = (attachment) => ({
+      ...attachment.toJSON(),
+      ...createSignedUrl(complaint.id, attachment.id, now),
+      thumbnailUrl: attachment.thumbnailKey ? signedUrl(`${attachment.id}/thumbnail`) : undefined,
+      previewUrl: attachment.previewKey ? signedUrl(`${attachment.id}/preview`) : undefined,
+    })
+
+    res.json({
+      attachments: complaint.attachments.map(withLinks),
+      // Links are only handed out for evidence the user may see
+      evidence: complaint.responses.flatMap((response) =>
+        response.attachments
+          .filter((attachment) => canViewAttachment(attachment, req.user))
+          .map((attachment) => ({ ...withLinks(attachment), response: response._id })),
+      ),
+      directiveEvidence: complaint.directives.flatMap((directive) =>
+        directive.evidence
+          .filter((attachment) => canViewAttachment(attachment, req.user))
+          .map((attachment) => ({ ...withLinks(attachment), directive: directive._id })),
+      ),
+    })
+  } catch (err) {
+    console.error("Get complaint attachments error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Signed download links stand in for the token; without one the usual reporter or office token is required
+const attachmentAccess = (req, res, next) => {
+  const { expires, signature } = req.query
+
+  if (!signature) {
+    return reporterAuth(req, res, next)
+  }
+
+  const { id, attachmentId, variant } = req.params
+
+  if (!verifySignedUrl(id, variant ? `${attachmentId}/${variant}` : attachmentId, expires, signature)) {
+    return res.status(403).json({ message: "Download link is invalid or has expired" })
+  }
+
+  req.signedDownload = true
+  next()
+}
+
+// JPEG copies an attachment may have, by the name used in download paths
+const ATTACHMENT_VARIANTS = {
+  thumbnail: "thumbnailKey",
+  preview: "previewKey",
+}
+
+// @route   GET api/complaints/:id/attachments/:attachmentId/:variant?
+// @desc    Download a complaint attachment or evidence, or its thumbnail or preview image
+// @access  Private (or with a signed link)
+router.get("/:id/attachments/:attachmentId/:variant?", attachmentAccess, async (req, res) => {
+  try {
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    // Signed links were only handed out to users who could view the complaint
+    if (!req.signedDownload && !canViewComplaint(complaint, req.user)) {
+      return res.status(403).json({ message: "Not authorized to view this complaint" })
+    }
+
+    const { variant } = req.params
+    const attachment = findAttachment(complaint, req.params.attachmentId)
+    const key = attachment && (variant ? attachment[ATTACHMENT_VARIANTS[variant]] : attachment.storageKey)
+
+    if (!key || (!req.signedDownload && !canViewAttachment(attachment, req.user))) {
+      return res.status(404).json({ message: "Attachment not found" })
+    }
+
+    let file
+
+    try {
+      file = await getStorage(attachment.storageBackend).get(key)
+    } catch (err) {
+      console.error("Read attachment error:", err)
+      return res.status(404).json({ message: "Attachment file not found" })
+    }
+
+    // Thumbnails and previews are shown in the page, originals downloaded
+    if (variant) {
+      res.setHeader("Content-Type", "image/jpeg")
+    } else {
+      res.attachment(attachment.originalName || attachment.id)
+      res.setHeader("Content-Type", attachment.mimeType || "application/octet-stream")
+    }
+
+    res.setHeader("X-Content-Type-Options", "nosniff")
+    file.on("error", (err) => {
+      console.error("Stream attachment error:", err)
+      res.destroy(err)
+    })
+    file.pipe(res)
+  } catch (err) {
+    console.error("Download attachment error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/withdraw
+// @desc    Withdraw a complaint, e.g. after it was settled informally
+// @access  Private (Complaint owner only)
+router.post("/:id/withdraw", reporterAuth, async (req, res) => {
+  try {
+    const { reason } = req.body
+
+    if (!reason) {
+      return res.status(400).json({ message: "Reason for withdrawal is required" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    const withdrawal = canPerform("withdraw", complaint, req.user)
+
+    if (!withdrawal.allowed) {
+      return res.status(400).json({ message: withdrawal.reason })
+    }
+
+    const now = new Date()
+    const previousStatus = complaint.status
+    complaint.status = COMPLAINT_STATUS.WITHDRAWN
+    complaint.withdrawal = { reason, withdrawnAt: now }
+    complaint.updatedAt = now
+
+    await complaint.save()
+
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.WITHDRAWN, req.user, {
+      before: { status: previousStatus },
+      after: { status: complaint.status },
+      message: reason,
+      date: now,
+    })
+    await settleCaseGroup(complaint.caseGroup, now)
+
+    res.json({
+      message: "Complaint withdrawn",
+      complaint: complaintForViewer(complaint, req.user),
+    })
+  } catch (err) {
+    console.error("Withdraw complaint error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/complaints/:id/reopen
+// @desc    Reopen a resolved complaint the office did not follow through on
+// @access  Private (Complaint owner only)
+router.post("/:id/reopen", reporterAuth, async (req, res) => {
+  try {
+    const { reason } = req.body
+
+    if (!reason) {
+      return res.status(400).json({ message: "Reason for reopening is required" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    const reopen = canPerform("reopen", complaint, req.user)
+
+    if (!reopen.allowed) {
+      return res.status(400).json({ message: reopen.reason })
+    }
+
+    const now = new Date()
+
+    // The resolution no longer counts for the office that resolved the complaint
+    await reverseResolutionCredit(complaint, now)
+    await releaseResolutionCredit(complaint, now)
+    await reopenComplaint(complaint, reason, now)
+
+    await complaint.save()
+
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.REOPENED, req.user, {
+      before: { status: COMPLAINT_STATUS.RESOLVED },
+      after: { status: complaint.status, stage: complaint.currentStage, dueDate: getCurrentDueDate(complaint) },
+      message: reason,
+      date: now,
+    })
+
+    if (complaint.assignee) {
+      await notifyUser(
+        complaint.assignee,
+        complaint,
+        COMPLAINT_EVENT_TYPES.REOPENED,
+        `Complaint "${complaint.title}" was reopened by the citizen`,
+      )
+    }
+
+    res.json({
+      message: "Complaint reopened",
+      complaint: complaintForViewer(complaint, req.user),
+    })
+  } catch (err) {
+    console.error("Reopen complaint error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
 
 // @route   POST api/complaints/:id/accept
 // @desc    Accept a response and resolve the complaint
 // @access  Private (Citizen only)
-router.post("/:id/accept", auth, async (req, res) => {
+router.post("/:id/accept", reporterAuth, async (req, res) => {
   try {
-    // Check if user is a citizen
-    if (req.user.role !== USER_ROLES.CITIZEN) {
+    // Check if user is a citizen or anonymous reporter
+    if (!REPORTER_ROLES.includes(req.user.role)) {
       return res.status(403).json({ message: "Only citizens can accept responses" })
     }
 
+    // Satisfaction rating is optional but must be 1-5 when given
+    const rating = parseRating(req.body.rating)
+
+    if (rating === null) {
+      return res.status(400).json({ message: "Rating must be a whole number from 1 to 5" })
+    }
+
     const complaint = await Complaint.findById(req.params.id)
 
     if (!complaint) {
@@ -745,33 +2651,62 @@ router.post("/:id/accept", auth, async (req, res) => {
     }
 
     // Check if the complaint belongs to the user
-    if (complaint.user.toString() !== req.user.id) {
+    if (!isComplaintOwner(complaint, req.user)) {
       return res.status(403).json({ message: "Not authorized" })
     }
 
-    // Check if the complaint has at least one response
-    if (!complaint.responses || complaint.responses.length === 0) {
-      return res.status(400).json({ message: "Cannot accept a complaint with no responses" })
+    // Check if the complaint has a response that can be accepted
+    const acceptance = canPerform("accept", complaint, req.user)
+
+    if (!acceptance.allowed) {
+      return res.status(400).json({ message: acceptance.reason })
     }
 
     // Update complaint status to resolved
+    const previousStatus = complaint.status
     complaint.status = COMPLAINT_STATUS.RESOLVED
 
-    // Add resolution details
+    // Add resolution details. A case group counts as one resolution.
     const latestResponse = complaint.responses[complaint.responses.length - 1]
+    latestResponse.outcome = RESPONSE_OUTCOMES.ACCEPTED
+    const credited = Boolean(latestResponse.responder) && (await claimResolutionCredit(complaint))
     complaint.resolution = {
       resolvedBy: latestResponse.responder,
       resolverRole: latestResponse.responderRole,
+      resolverOffice: latestResponse.responderOffice || latestResponse.responder,
       resolution: latestResponse.response,
+      evidence: latestResponse.attachments
+        .filter((attachment) => attachment.visibility === ATTACHMENT_VISIBILITY.CITIZEN)
+        .map((attachment) => attachment._id),
       resolvedAt: new Date(),
+      credited,
+    }
+
+    if (rating) {
+      complaint.satisfaction = {
+        rating,
+        feedback: req.body.feedback,
+        ratedAt: complaint.resolution.resolvedAt,
+      }
     }
 
     complaint.updatedAt = new Date()
     await complaint.save()
 
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.ACCEPTED, req.user, {
+      before: { status: previousStatus },
+      after: { status: complaint.status, resolution: complaint.resolution.resolution, rating },
+      message: rating ? req.body.feedback : undefined,
+      date: complaint.resolution.resolvedAt,
+    })
+
+    if (rating) {
+      await recordSatisfaction(complaint, rating, "acceptance", complaint.resolution.resolvedAt)
+    }
+
     // Update office performance metrics if applicable
-    if (latestResponse.responder) {
-      const officeId = latestResponse.responder
+    if (credited) {
+      const officeId = complaint.resolution.resolverOffice
       const officeRole = latestResponse.responderRole
 
       let officePerformance = await OfficePerformance.findOne({
@@ -805,9 +2740,12 @@ router.post("/:id/accept", auth, async (req, res) => {
       await officePerformance.save()
     }
 
+    await resolveDuplicates(complaint)
+    await settleCaseGroup(complaint.caseGroup)
+
     res.json({
       message: "Response accepted and complaint resolved",
-      complaint,
+      complaint: complaintForViewer(complaint, req.user),
     })
   } catch (err) {
     console.error("Accept response error:", err)
@@ -815,5 +2753,61 @@ router.post("/:id/accept", auth, async (req, res) => {
   }
 })
 
+// @route   POST api/complaints/:id/follow-up
+// @desc    Answer the follow-up satisfaction survey sent a week after resolution
+// @access  Private (Complaint owner only)
+router.post("/:id/follow-up", reporterAuth, async (req, res) => {
+  try {
+    const rating = parseRating(req.body.rating)
+
+    if (!rating) {
+      return res.status(400).json({ message: "Rating must be a whole number from 1 to 5" })
+    }
+
+    const complaint = await Complaint.findById(req.params.id)
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    // Check if the complaint belongs to the user
+    if (!isComplaintOwner(complaint, req.user)) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    const followUp = complaint.satisfaction && complaint.satisfaction.followUp
+
+    if (!followUp || !followUp.sentAt) {
+      return res.status(400).json({ message: "No follow-up survey has been sent for this complaint" })
+    }
+
+    if (followUp.answeredAt) {
+      return res.status(400).json({ message: "The follow-up survey has already been answered" })
+    }
+
+    const now = new Date()
+    followUp.rating = rating
+    followUp.feedback = req.body.feedback
+    followUp.answeredAt = now
+
+    await complaint.save()
+
+    await recordSatisfaction(complaint, rating, "followUp", now)
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.FOLLOW_UP_ANSWERED, req.user, {
+      after: { rating },
+      message: req.body.feedback,
+      date: now,
+    })
+
+    res.json({
+      message: "Thank you for your feedback",
+      satisfaction: complaint.satisfaction,
+    })
+  } catch (err) {
+    console.error("Follow-up survey error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 module.exports = router
 
@@ -0,0 +1,66 @@
+const express = require("express")
+const router = express.Router()
+const Notification = require("../models/Notification")
+const auth = require("../middleware/auth")
+
+// @route   GET api/notifications
+// @desc    Get notifications for the current user
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const query = { user: req.user.id }
+
+    // Filter unread notifications if requested
+    if (req.query.unread === "true") {
+      query.isRead = false
+    }
+
+    // Pagination
+    const page = Number.parseInt(req.query.page) || 1
+    const limit = Number.parseInt(req.query.limit) || 20
+    const skip = (page - 1) * limit
+
+    const notifications = await Notification.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit)
+
+    const total = await Notification.countDocuments(query)
+    const unread = await Notification.countDocuments({ user: req.user.id, isRead: false })
+
+    res.json({
+      notifications,
+      unread,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+    })
+  } catch (err) {
+    console.error("Get notifications error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   PUT api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put("/:id/read", auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id })
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" })
+    }
+
+    notification.isRead = true
+    await notification.save()
+
+    res.json({ message: "Notification marked as read", notification })
+  } catch (err) {
+    console.error("Mark notification read error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
+
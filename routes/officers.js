@@ -0,0 +1,226 @@
+const express = require("express")
+const router = express.Router()
+const User = require("../models/User")
+const auth = require("../middleware/auth")
+const { USER_ROLES, ASSIGNMENT_STRATEGIES } = require("../config/constants")
+const { getOfficeId, isSupervisor, countOpenCases } = require("../utils/assignment")
+
+// Officers only exist inside handler offices
+const requireOfficeSupervisor = (req, res) => {
+  if (req.user.role === USER_ROLES.CITIZEN) {
+    res.status(403).json({ message: "Not authorized" })
+    return false
+  }
+
+  if (!isSupervisor(req.user)) {
+    res.status(403).json({ message: "Only a supervisor can manage officers" })
+    return false
+  }
+
+  return true
+}
+
+// Read a flag sent as JSON or form data: true or false, or undefined when it is neither
+const parseFlag = (value) => {
+  if (value === true || value === "true") {
+    return true
+  }
+
+  if (value === false || value === "false") {
+    return false
+  }
+
+  return undefined
+}
+
+// @route   GET api/officers
+// @desc    Get the officers of the user's office with their open workload
+// @access  Private (Office supervisors only)
+router.get("/", auth, async (req, res) => {
+  try {
+    if (!requireOfficeSupervisor(req, res)) {
+      return
+    }
+
+    const officers = await User.find({ office: getOfficeId(req.user) })
+      .select("firstName lastName email phone isSupervisor isAvailable lastAssignedAt createdAt")
+      .sort({ firstName: 1 })
+      .lean()
+    const openCases = await countOpenCases(officers.map(({ _id }) => _id))
+    const office = await User.findById(getOfficeId(req.user)).select("assignmentStrategy")
+
+    res.json({
+      assignmentStrategy: office ? office.assignmentStrategy : ASSIGNMENT_STRATEGIES.FEWEST_OPEN,
+      officers: officers.map((officer) => ({ ...officer, openCases: openCases[officer._id.toString()] || 0 })),
+    })
+  } catch (err) {
+    console.error("Get officers error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/officers
+// @desc    Create an officer account inside the user's office
+// @access  Private (Office supervisors only)
+router.post("/", auth, async (req, res) => {
+  try {
+    if (!requireOfficeSupervisor(req, res)) {
+      return
+    }
+
+    const { firstName, lastName, email, phone, password, idNumber, address, isSupervisor: supervisor } = req.body
+
+    if (supervisor !== undefined && parseFlag(supervisor) === undefined) {
+      return res.status(400).json({ message: "isSupervisor must be true or false" })
+    }
+
+    // Check if user already exists
+    let user = await User.findOne({ email })
+
+    if (user) {
+      return res.status(400).json({ message: "User already exists" })
+    }
+
+    // Check if ID number is already registered
+    user = await User.findOne({ idNumber })
+
+    if (user) {
+      return res.status(400).json({ message: "ID number is already registered" })
+    }
+
+    const office = await User.findById(getOfficeId(req.user))
+
+    if (!office) {
+      return res.status(404).json({ message: "Office not found" })
+    }
+
+    // Officers share the role, office details and area of their office
+    user = new User({
+      firstName,
+      lastName,
+      email,
+      phone,
+      password,
+      idNumber,
+      address,
+      role: office.role,
+      officeName: office.officeName,
+      officeType: office.officeType,
+      officeAddress: office.officeAddress,
+      officePhone: office.officePhone,
+      kifleketema: office.kifleketema,
+      wereda: office.wereda,
+      office: office._id,
+      isSupervisor: parseFlag(supervisor) || false,
+      isApproved: true,
+    })
+
+    await user.save()
+
+    res.status(201).json({
+      message: "Officer created successfully",
+      officer: {
+        _id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        isSupervisor: user.isSupervisor,
+        isAvailable: user.isAvailable,
+      },
+    })
+  } catch (err) {
+    console.error("Create officer error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   PUT api/officers/assignment-strategy
+// @desc    Choose how new complaints are spread over the office's officers
+// @access  Private (Office supervisors only)
+router.put("/assignment-strategy", auth, async (req, res) => {
+  try {
+    if (!requireOfficeSupervisor(req, res)) {
+      return
+    }
+
+    const { strategy } = req.body
+
+    if (!Object.values(ASSIGNMENT_STRATEGIES).includes(strategy)) {
+      return res.status(400).json({
+        message: `Strategy must be one of: ${Object.values(ASSIGNMENT_STRATEGIES).join(", ")}`,
+      })
+    }
+
+    const office = await User.findByIdAndUpdate(
+      getOfficeId(req.user),
+      { assignmentStrategy: strategy },
+      { new: true },
+    ).select("assignmentStrategy")
+
+    if (!office) {
+      return res.status(404).json({ message: "Office not found" })
+    }
+
+    res.json({
+      message: "Assignment strategy updated",
+      assignmentStrategy: office.assignmentStrategy,
+    })
+  } catch (err) {
+    console.error("Update assignment strategy error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   PUT api/officers/:id
+// @desc    Update an officer's availability or supervisor flag
+// @access  Private (Office supervisors only)
+router.put("/:id", auth, async (req, res) => {
+  try {
+    if (!requireOfficeSupervisor(req, res)) {
+      return
+    }
+
+    const officer = await User.findOne({ _id: req.params.id, office: getOfficeId(req.user) })
+
+    if (!officer) {
+      return res.status(404).json({ message: "Officer not found in your office" })
+    }
+
+    const { isAvailable, isSupervisor: supervisor } = req.body
+
+    if (isAvailable !== undefined && parseFlag(isAvailable) === undefined) {
+      return res.status(400).json({ message: "isAvailable must be true or false" })
+    }
+
+    if (supervisor !== undefined && parseFlag(supervisor) === undefined) {
+      return res.status(400).json({ message: "isSupervisor must be true or false" })
+    }
+
+    if (isAvailable !== undefined) {
+      officer.isAvailable = parseFlag(isAvailable)
+    }
+
+    if (supervisor !== undefined) {
+      officer.isSupervisor = parseFlag(supervisor)
+    }
+
+    await officer.save()
+
+    res.json({
+      message: "Officer updated successfully",
+      officer: {
+        _id: officer._id,
+        firstName: officer.firstName,
+        lastName: officer.lastName,
+        isSupervisor: officer.isSupervisor,
+        isAvailable: officer.isAvailable,
+      },
+    })
+  } catch (err) {
+    console.error("Update officer error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
+
@@ -0,0 +1,347 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const router = express.Router()
+const ResponseTemplate = require("../models/ResponseTemplate")
+const Complaint = require("../models/Complaint")
+const auth = require("../middleware/auth")
+const { OFFICE_TYPES, COMPLAINT_HANDLERS } = require("../config/constants")
+const { canPerform } = require("../utils/complaintWorkflow")
+const { normalizeReference, isReference } = require("../utils/complaintReference")
+const {
+  PLACEHOLDERS,
+  unknownPlaceholders,
+  renderTemplate,
+  usableTemplatesQuery,
+  managedTemplatesQuery,
+  suitsOfficeType,
+  findUsableTemplate,
+  getTemplateStats,
+} = require("../utils/responseTemplates")
+
+// The templates the user manages, or null after answering with 403
+const requireTemplateManager = async (req, res) => {
+  const scope = await managedTemplatesQuery(req.user)
+
+  if (!scope) {
+    res.status(403).json({ message: "Only supervisors and Kentiba Biro can manage response templates" })
+    return null
+  }
+
+  return scope
+}
+
+// Check the level, office type and placeholders of a template being saved. Returns an error message or null.
+const validateTemplate = (template, scope) => {
+  if (!Object.values(COMPLAINT_HANDLERS).includes(template.handlerLevel)) {
+    return `Handler level must be one of: ${Object.values(COMPLAINT_HANDLERS).join(", ")}`
+  }
+
+  if (template.officeType && !Object.values(OFFICE_TYPES).includes(template.officeType)) {
+    return "Invalid office type"
+  }
+
+  // Supervisors write templates for their own level, and stakeholder offices for their own office type
+  if (Object.entries(scope).some(([field, value]) => (template[field] || null) !== value)) {
+    return "You can only manage templates for your own level and office type"
+  }
+
+  const unknown = unknownPlaceholders(template.body)
+
+  if (unknown.length > 0) {
+    return `Unknown placeholders: ${unknown.join(", ")}. Available: ${Object.keys(PLACEHOLDERS).join(", ")}`
+  }
+
+  return null
+}
+
+// Find a complaint by id or reference number
+const findComplaint = (id) => {
+  if (isReference(id)) {
+    return Complaint.findOne({ reference: normalizeReference(id) })
+  }
+
+  return Complaint.findOne({ _id: mongoose.Types.ObjectId.isValid(id) ? id : null })
+}
+
+// @route   GET api/response-templates
+// @desc    Get the response templates the user can respond with, optionally only those suiting a complaint
+// @access  Private (Office handlers only)
+router.get("/", auth, async (req, res) => {
+  try {
+    if (!Object.values(COMPLAINT_HANDLERS).includes(req.user.role)) {
+      return res.status(403).json({ message: "Not authorized" })
+    }
+
+    let templates = await ResponseTemplate.find(await usableTemplatesQuery(req.user))
+      .select("title body handlerLevel officeType")
+      .sort({ title: 1 })
+      .lean()
+
+    if (req.query.complaint) {
+      const complaint = await findComplaint(req.query.complaint).populate("stakeholderOffice", "officeType")
+
+      if (!complaint) {
+        return res.status(404).json({ message: "Complaint not found" })
+      }
+
+      const officeType = complaint.stakeholderOffice ? complaint.stakeholderOffice.officeType : null
+      templates = templates.filter((template) => suitsOfficeType(template, officeType))
+    }
+
+    res.json({ templates, placeholders: Object.keys(PLACEHOLDERS) })
+  } catch (err) {
+    console.error("Get response templates error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/response-templates/managed
+// @desc    Get the response templates the user manages, including inactive ones
+// @access  Private (Supervisors and Kentiba Biro only)
+router.get("/managed", auth, async (req, res) => {
+  try {
+    const scope = await requireTemplateManager(req, res)
+
+    if (!scope) {
+      return
+    }
+
+    const query = { ...scope }
+
+    if (req.query.handlerLevel) {
+      query.handlerLevel = scope.handlerLevel || req.query.handlerLevel
+    }
+
+    if (req.query.officeType) {
+      query.officeType = scope.officeType !== undefined ? scope.officeType : req.query.officeType
+    }
+
+    if (req.query.includeInactive !== "true") {
+      query.isActive = true
+    }
+
+    const templates = await ResponseTemplate.find(query)
+      .populate("createdBy", "firstName lastName officeName")
+      .populate("updatedBy", "firstName lastName officeName")
+      .sort({ handlerLevel: 1, officeType: 1, title: 1 })
+
+    res.json({ templates, placeholders: Object.keys(PLACEHOLDERS) })
+  } catch (err) {
+    console.error("Get managed response templates error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/response-templates/stats
+// @desc    Get how often each template is used and how citizens answer the responses written from it
+// @access  Private (Supervisors and Kentiba Biro only)
+router.get("/stats", auth, async (req, res) => {
+  try {
+    const scope = await requireTemplateManager(req, res)
+
+    if (!scope) {
+      return
+    }
+
+    const from = req.query.dateFrom ? new Date(req.query.dateFrom) : undefined
+    const to = req.query.dateTo ? new Date(req.query.dateTo) : undefined
+
+    if ([from, to].some((date) => date && Number.isNaN(date.getTime()))) {
+      return res.status(400).json({ message: "Invalid date range" })
+    }
+
+    res.json({ templates: await getTemplateStats(scope, { from, to }) })
+  } catch (err) {
+    console.error("Get response template stats error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   GET api/response-templates/:id/render
+// @desc    Fill a template's placeholders from a complaint the user can respond to
+// @access  Private (Current handler only)
+router.get("/:id/render", auth, async (req, res) => {
+  try {
+    const complaint = await findComplaint(req.query.complaint)
+      .populate("user", "firstName")
+      .populate("stakeholderOffice", "officeName officeType")
+
+    if (!complaint) {
+      return res.status(404).json({ message: "Complaint not found" })
+    }
+
+    // Only the handler who can respond gets the citizen's details filled in
+    const respond = canPerform("respond", complaint, req.user)
+
+    if (!respond.allowed) {
+      return res.status(403).json({ message: respond.reason })
+    }
+
+    const officeType = complaint.stakeholderOffice ? complaint.stakeholderOffice.officeType : null
+    const template = await findUsableTemplate(req.params.id, req.user, officeType)
+
+    if (!template) {
+      return res.status(404).json({ message: "Response template not found" })
+    }
+
+    res.json({ template: template._id, response: renderTemplate(template.body, complaint) })
+  } catch (err) {
+    console.error("Render response template error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   POST api/response-templates
+// @desc    Create a response template
+// @access  Private (Supervisors and Kentiba Biro only)
+router.post("/", auth, async (req, res) => {
+  try {
+    const scope = await requireTemplateManager(req, res)
+
+    if (!scope) {
+      return
+    }
+
+    const { title, body } = req.body
+
+    if (!title || !title.trim() || !body || !body.trim()) {
+      return res.status(400).json({ message: "Title and body are required" })
+    }
+
+    // Supervisors' templates default to their own level and office type
+    const template = new ResponseTemplate({
+      title: title.trim(),
+      body,
+      handlerLevel: req.body.handlerLevel || scope.handlerLevel,
+      officeType: req.body.officeType || (scope.officeType !== undefined ? scope.officeType : null),
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    })
+
+    const error = validateTemplate(template, scope)
+
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    await template.save()
+
+    res.status(201).json({
+      message: "Response template created successfully",
+      template,
+    })
+  } catch (err) {
+    console.error("Create response template error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   PUT api/response-templates/:id
+// @desc    Update a response template
+// @access  Private (Supervisors and Kentiba Biro only)
+router.put("/:id", auth, async (req, res) => {
+  try {
+    const scope = await requireTemplateManager(req, res)
+
+    if (!scope) {
+      return
+    }
+
+    const template = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ResponseTemplate.findOne({ _id: req.params.id, ...scope })
+      : null
+
+    if (!template) {
+      return res.status(404).json({ message: "Response template not found" })
+    }
+
+    const { title, body, handlerLevel, officeType, isActive } = req.body
+
+    if (title !== undefined) {
+      if (!title.trim()) {
+        return res.status(400).json({ message: "Title cannot be empty" })
+      }
+
+      template.title = title.trim()
+    }
+
+    if (body !== undefined) {
+      if (!body.trim()) {
+        return res.status(400).json({ message: "Body cannot be empty" })
+      }
+
+      template.body = body
+    }
+
+    if (handlerLevel !== undefined) {
+      template.handlerLevel = handlerLevel
+    }
+
+    if (officeType !== undefined) {
+      template.officeType = officeType || null
+    }
+
+    if (isActive !== undefined) {
+      template.isActive = isActive === true || isActive === "true"
+    }
+
+    const error = validateTemplate(template, scope)
+
+    if (error) {
+      return res.status(400).json({ message: error })
+    }
+
+    template.updatedBy = req.user.id
+    template.updatedAt = new Date()
+    await template.save()
+
+    res.json({
+      message: "Response template updated successfully",
+      template,
+    })
+  } catch (err) {
+    console.error("Update response template error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// @route   DELETE api/response-templates/:id
+// @desc    Delete a response template, or deactivate it if responses were written from it
+// @access  Private (Supervisors and Kentiba Biro only)
+router.delete("/:id", auth, async (req, res) => {
+  try {
+    const scope = await requireTemplateManager(req, res)
+
+    if (!scope) {
+      return
+    }
+
+    const template = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await ResponseTemplate.findOne({ _id: req.params.id, ...scope })
+      : null
+
+    if (!template) {
+      return res.status(404).json({ message: "Response template not found" })
+    }
+
+    // Templates that were used are kept for the usage statistics
+    if (await Complaint.exists({ "responses.template": template._id })) {
+      template.isActive = false
+      template.updatedBy = req.user.id
+      template.updatedAt = new Date()
+      await template.save()
+
+      return res.json({ message: "Response template is in use and has been deactivated" })
+    }
+
+    await template.deleteOne()
+
+    res.json({ message: "Response template removed" })
+  } catch (err) {
+    console.error("Delete response template error:", err)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
+
@@ -12,6 +12,7 @@ router.get("/approved", async (req, res) => {
     const stakeholders = await User.find({
       role: USER_ROLES.STAKEHOLDER_OFFICE,
       isApproved: true,
+      office: null, // Office accounts only, not their officers
     }).select("_id officeName officeType officeAddress kifleketema wereda")
 
     res.json({ stakeholders })
@@ -0,0 +1,36 @@
+// Move uploaded files between storage backends, e.g. `npm run migrate:storage -- local s3`.
+// Configure both backends in the environment as for the server; records are switched file by file.
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+
+dotenv.config()
+
+const { getStorage } = require("../utils/storage")
+const { migrateStoredFiles } = require("../utils/storageMigration")
+
+const [from, to] = process.argv.slice(2)
+
+const run = async () => {
+  if (!from || !to || from === to) {
+    console.error("Usage: npm run migrate:storage -- <from> <to>, e.g. local s3")
+    process.exit(1)
+  }
+
+  // Fail early on an unknown or misconfigured backend
+  getStorage(from)
+  getStorage(to)
+
+  await mongoose.connect(process.env.MONGO_URI)
+
+  const { copied, failed } = await migrateStoredFiles(from, to)
+  console.log(`Copied ${copied} files from ${from} to ${to}, ${failed} failed`)
+
+  await mongoose.disconnect()
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+run().catch((err) => {
+  console.error("Storage migration error:", err)
+  process.exit(1)
+})
+
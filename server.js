@@ -17,6 +17,14 @@ const officeRoutes = require("./routes/offices")
 const stakeholderRoutes = require("./routes/stakeholders")
 const blogRoutes = require("./routes/blog")
 const adminRoutes = require("./routes/admin")
+const categoryRoutes = require("./routes/categories")
+const notificationRoutes = require("./routes/notifications")
+const caseGroupRoutes = require("./routes/caseGroups")
+const officerRoutes = require("./routes/officers")
+const responseTemplateRoutes = require("./routes/responseTemplates")
+
+const { migrateLegacyAttachments } = require("./utils/attachments")
+const { migrateHandlerOffices } = require("./utils/complaintWorkflow")
 
 // Initialize Express app
 const app = express()
@@ -34,14 +42,8 @@ uploadDirs.forEach((dir) => {
   }
 })
 
-// Serve static files from the uploads directory
-app.use("/uploads", express.static(path.join(__dirname, "../uploads")))
-
-// Connect to MongoDB
-mongoose
-  .connect(process.env.MONGO_URI)
-  .then(() => console.log("MongoDB connected"))
-  .catch((err) => console.error("MongoDB connection error:", err))
+// Serve blog images publicly. Complaint attachments are only downloaded through the complaints API.
+app.use("/uploads/blog", express.static(path.join(__dirname, "../uploads/blog")))
 
 // Routes
 app.use("/api/auth", authRoutes)
@@ -52,6 +54,11 @@ app.use("/api/alerts", alertRoutes)
 app.use("/api/offices", officeRoutes)
 app.use("/api/stakeholders", stakeholderRoutes)
 app.use("/api/blog", blogRoutes)
+app.use("/api/categories", categoryRoutes)
+app.use("/api/notifications", notificationRoutes)
+app.use("/api/case-groups", caseGroupRoutes)
+app.use("/api/officers", officerRoutes)
+app.use("/api/response-templates", responseTemplateRoutes)
 
 // Serve static assets in production
 if (process.env.NODE_ENV === "production") {
@@ -68,11 +75,42 @@ scheduleEscalationJobs()
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Errors carrying a status, e.g. rejected uploads, are the client's to fix
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({ message: err.message })
+  }
+
   console.error(err.stack)
   res.status(500).json({ message: "Something went wrong!" })
 })
 
-// Start server
+// Connect to MongoDB, then start the server
 const PORT = process.env.PORT || 5000
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`))
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(async () => {
+    console.log("MongoDB connected")
+
+    // Give attachments saved as plain file paths an id and metadata before serving requests,
+    // so their downloads and signed URLs work from the first request
+    const migrated = await migrateLegacyAttachments()
+
+    if (migrated > 0) {
+      console.log(`Migrated attachments of ${migrated} complaints`)
+    }
+
+    // Only the handler office of a complaint may act on it, so open complaints need theirs recorded
+    const handlerOffices = await migrateHandlerOffices()
+
+    if (handlerOffices > 0) {
+      console.log(`Recorded the handler office of ${handlerOffices} complaints`)
+    }
+
+    app.listen(PORT, () => console.log(`Server running on port ${PORT}`))
+  })
+  .catch((err) => {
+    console.error("Server startup error:", err)
+    process.exit(1)
+  })
 
@@ -0,0 +1,54 @@
+const crypto = require("crypto")
+const bcrypt = require("bcryptjs")
+
+// Crockford base32 alphabet: no I, L, O or U, so codes can be read out over the phone
+const ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ"
+
+const randomString = (length) => {
+  const bytes = crypto.randomBytes(length)
+  let result = ""
+
+  for (let i = 0; i < length; i++) {
+    result += ALPHABET[bytes[i] % ALPHABET.length]
+  }
+
+  return result
+}
+
+const group = (value, size) => value.match(new RegExp(`.{1,${size}}`, "g")).join("-")
+
+// Tracking code shown to the reporter, e.g. ANON-7K3M-Q9TX
+const generateTrackingCode = () => `ANON-${group(randomString(8), 4)}`
+
+// Passphrase shown once to the reporter, e.g. 4HZ2-8QWE-MN6R-TY0P
+const generatePassphrase = () => group(randomString(16), 4)
+
+// Accept passphrases typed in lower case or without dashes
+const normalize = (value) => (value || "").toUpperCase().replace(/[^0-9A-Z]/g, "")
+
+const hashPassphrase = async (passphrase) => {
+  const salt = await bcrypt.genSalt(10)
+  return bcrypt.hash(normalize(passphrase), salt)
+}
+
+const verifyPassphrase = async (passphrase, hash) => {
+  if (!passphrase || !hash) {
+    return false
+  }
+
+  return bcrypt.compare(normalize(passphrase), hash)
+}
+
+const normalizeTrackingCode = (trackingCode) => {
+  const value = normalize(trackingCode).replace(/^ANON/, "")
+  return value.length === 8 ? `ANON-${group(value, 4)}` : null
+}
+
+module.exports = {
+  generateTrackingCode,
+  generatePassphrase,
+  hashPassphrase,
+  verifyPassphrase,
+  normalizeTrackingCode,
+}
+
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const { ASSIGNMENT_STRATEGIES, COMPLAINT_HANDLERS, FINAL_COMPLAINT_STATUSES } = require("../config/constants")
+
+// The office account a user acts for. Officers act for their office; office accounts for themselves.
+const getOfficeId = (user) => (user.office ? user.office.toString() : user.id)
+
+// Handler office accounts supervise their officers, together with officers flagged as supervisors.
+// Whether they supervise a given complaint depends on their office handling it.
+const isSupervisor = (user) =>
+  Object.values(COMPLAINT_HANDLERS).includes(user.role) && (!user.office || Boolean(user.isSupervisor))
+
+// Number of open complaints assigned to each of the given officers
+const countOpenCases = async (officerIds) => {
+  // Looked up lazily: the Complaint model depends on the workflow module, which depends on this one
+  const Complaint = mongoose.model("Complaint")
+
+  const counts = await Complaint.aggregate([
+    {
+      $match: {
+        assignee: { $in: officerIds },
+        status: { $nin: FINAL_COMPLAINT_STATUSES },
+      },
+    },
+    { $group: { _id: "$assignee", count: { $sum: 1 } } },
+  ])
+
+  return counts.reduce((result, { _id, count }) => ({ ...result, [_id.toString()]: count }), {})
+}
+
+// Choose the officer of an office who receives the next complaint, or null when the office has no
+// available officers. Round robin takes whoever waited longest since their last assignment;
+// fewest open takes the lightest workload, falling back to round robin order on ties.
+const pickOfficer = async (officeId, now = new Date()) => {
+  const office = await User.findById(officeId).select("assignmentStrategy")
+  const officers = await User.find({ office: officeId, isAvailable: { $ne: false } }).sort({
+    lastAssignedAt: 1,
+    createdAt: 1,
+  })
+
+  if (!office || officers.length === 0) {
+    return null
+  }
+
+  let officer = officers[0]
+
+  if (office.assignmentStrategy !== ASSIGNMENT_STRATEGIES.ROUND_ROBIN) {
+    const openCases = await countOpenCases(officers.map(({ _id }) => _id))
+
+    officer = officers.reduce((lightest, candidate) =>
+      (openCases[candidate._id.toString()] || 0) < (openCases[lightest._id.toString()] || 0) ? candidate : lightest,
+    )
+  }
+
+  officer.lastAssignedAt = now
+  await officer.save()
+
+  return officer
+}
+
+module.exports = { getOfficeId, isSupervisor, countOpenCases, pickOfficer }
+
@@ -0,0 +1,191 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const mongoose = require("mongoose")
+const {
+  USER_ROLES,
+  ANONYMOUS_REPORTER_ROLE,
+  ATTACHMENT_VISIBILITY,
+  ATTACHMENT_URL_TTL_MINUTES,
+} = require("../config/constants")
+
+// MIME types of the extensions accepted for upload, used for files saved before metadata was kept
+const MIME_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+}
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256")
+
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+  })
+
+// Attachment records for files saved by the multer storage engine, ready to add to complaint.attachments
+const describeUploads = (files, user, now = new Date()) =>
+  (files || []).map((file) => ({
+    _id: new mongoose.Types.ObjectId(),
+    storageKey: file.key,
+    storageBackend: file.storage,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    sha256: file.sha256,
+    ...file.metadata,
+    thumbnailKey: file.derived && file.derived.thumbnail,
+    previewKey: file.derived && file.derived.preview,
+    uploadedBy: user && user.id ? user.id : undefined,
+    uploaderRole: user ? user.role : undefined,
+    uploadedAt: now,
+  }))
+
+// Visibility of each uploaded evidence file, given once for all files or once per file in upload order.
+// Returns null when the values are invalid or do not match the files.
+const parseVisibility = (value, count) => {
+  const values = (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+  if (values.some((item) => !Object.values(ATTACHMENT_VISIBILITY).includes(item))) {
+    return null
+  }
+
+  if (values.length <= 1) {
+    return Array(count).fill(values[0] || ATTACHMENT_VISIBILITY.CITIZEN)
+  }
+
+  return values.length === count ? values : null
+}
+
+// Find an attachment of a complaint, or evidence attached to one of its responses or directives
+const findAttachment = (complaint, attachmentId) => {
+  const attachment = complaint.attachments.id(attachmentId)
+
+  if (attachment) {
+    return attachment
+  }
+
+  const evidenceLists = [
+    ...complaint.responses.map((response) => response.attachments),
+    ...complaint.directives.map((directive) => directive.evidence),
+  ]
+
+  for (const evidenceList of evidenceLists) {
+    const evidence = evidenceList.id(attachmentId)
+
+    if (evidence) {
+      return evidence
+    }
+  }
+
+  return null
+}
+
+// Internal evidence is for the handling offices only
+const canViewAttachment = (attachment, user) =>
+  attachment.visibility !== ATTACHMENT_VISIBILITY.INTERNAL ||
+  ![USER_ROLES.CITIZEN, ANONYMOUS_REPORTER_ROLE].includes(user.role)
+
+const signingSecret = () => process.env.ATTACHMENT_URL_SECRET || process.env.JWT_SECRET
+
+const sign = (complaintId, file, expires) =>
+  crypto.createHmac("sha256", signingSecret()).update(`${complaintId}:${file}:${expires}`).digest("hex")
+
+// Short-lived link to download an attachment without an Authorization header, e.g. from an <img> tag.
+// `file` is the attachment id, optionally followed by /thumbnail or /preview.
+const createSignedUrl = (complaintId, file, now = new Date()) => {
+  const expires = Math.floor(now.getTime() / 1000) + ATTACHMENT_URL_TTL_MINUTES * 60
+  const signature = sign(complaintId, file, expires)
+
+  return {
+    url: `/api/complaints/${complaintId}/attachments/${file}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000),
+  }
+}
+
+const verifySignedUrl = (complaintId, file, expires, signature, now = new Date()) => {
+  if (!expires || !signature || Number(expires) * 1000 < now.getTime()) {
+    return false
+  }
+
+  const expected = Buffer.from(sign(complaintId, file, expires))
+  const given = Buffer.from(String(signature))
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+}
+
+// Attachment record for a file path stored before attachments had metadata
+const describeLegacyFile = async (filePath, complaint) => {
+  const stats = await fs.promises.stat(filePath).catch(() => null)
+
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    storageKey: filePath,
+    storageBackend: "local",
+    // Files were saved as `${Date.now()}-${originalname}`
+    originalName: path.basename(filePath).replace(/^\d+-/, ""),
+    mimeType: MIME_TYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream",
+    size: stats ? stats.size : undefined,
+    sha256: stats ? await hashFile(filePath) : undefined,
+    uploadedBy: complaint.isAnonymous ? undefined : complaint.user,
+    uploaderRole: complaint.isAnonymous ? ANONYMOUS_REPORTER_ROLE : USER_ROLES.CITIZEN,
+    uploadedAt: complaint.submittedAt,
+  }
+}
+
+// Convert complaints whose attachments are still plain file paths. Works on the raw collection because
+// the Complaint schema can no longer read them. Safe to run repeatedly; returns the number converted.
+const migrateLegacyAttachments = async () => {
+  const collection = mongoose.model("Complaint").collection
+  const cursor = collection.find({
+    $or: [{ attachments: { $type: "string" } }, { "informationRequests.attachments": { $type: "string" } }],
+  })
+  let migrated = 0
+
+  for await (const complaint of cursor) {
+    const byPath = {}
+    const attachments = []
+
+    for (const attachment of complaint.attachments || []) {
+      if (typeof attachment === "string") {
+        byPath[attachment] = byPath[attachment] || (await describeLegacyFile(attachment, complaint))
+        attachments.push(byPath[attachment])
+      } else {
+        attachments.push(attachment)
+      }
+    }
+
+    // Information request replies kept the same paths as the complaint; point them at the new ids
+    const toId = (attachment) =>
+      typeof attachment === "string" ? byPath[attachment] && byPath[attachment]._id : attachment
+    const informationRequests = (complaint.informationRequests || []).map((request) => ({
+      ...request,
+      attachments: (request.attachments || []).map(toId).filter(Boolean),
+    }))
+
+    await collection.updateOne({ _id: complaint._id }, { $set: { attachments, informationRequests } })
+    migrated += 1
+  }
+
+  return migrated
+}
+
+module.exports = {
+  describeUploads,
+  parseVisibility,
+  findAttachment,
+  canViewAttachment,
+  createSignedUrl,
+  verifySignedUrl,
+  migrateLegacyAttachments,
+}
+
@@ -0,0 +1,51 @@
+// Above this many tracked keys, expired ones are swept out before adding another
+const SWEEP_THRESHOLD = 10000
+
+// Count failed attempts per key (e.g. an IP address) and refuse further attempts once `maxAttempts`
+// have failed within `windowMs`, until that window ends. Counts are kept in memory, so each API
+// instance limits on its own.
+const createAttemptLimiter = ({ maxAttempts, windowMs }) => {
+  const attempts = new Map()
+
+  const current = (key, now) => {
+    const entry = attempts.get(key)
+
+    if (entry && entry.resetAt <= now) {
+      attempts.delete(key)
+      return null
+    }
+
+    return entry || null
+  }
+
+  const sweep = (now) => {
+    attempts.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        attempts.delete(key)
+      }
+    })
+  }
+
+  return {
+    // Milliseconds until the key may try again, or 0 when it may try now
+    retryAfter: (key, now = Date.now()) => {
+      const entry = current(key, now)
+      return entry && entry.count >= maxAttempts ? entry.resetAt - now : 0
+    },
+    recordFailure: (key, now = Date.now()) => {
+      if (attempts.size >= SWEEP_THRESHOLD) {
+        sweep(now)
+      }
+
+      const entry = current(key, now) || { count: 0, resetAt: now + windowMs }
+      entry.count += 1
+      attempts.set(key, entry)
+    },
+    reset: (key) => {
+      attempts.delete(key)
+    },
+  }
+}
+
+module.exports = { createAttemptLimiter }
+
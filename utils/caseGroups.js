@@ -0,0 +1,88 @@
+const CaseGroup = require("../models/CaseGroup")
+const Complaint = require("../models/Complaint")
+const { CASE_GROUP_STATUS, COMPLAINT_EVENT_TYPES, FINAL_COMPLAINT_STATUSES } = require("../config/constants")
+const { recordComplaintEvent } = require("./complaintEvents")
+
+// Whether the office resolving this complaint should be credited with a resolution. Complaints
+// outside a group always are; a group is credited once, when its first complaint is accepted.
+const claimResolutionCredit = async (complaint) => {
+  if (!complaint.caseGroup) {
+    return true
+  }
+
+  const group = await CaseGroup.findOneAndUpdate(
+    { _id: complaint.caseGroup, resolutionCredited: false },
+    { $set: { resolutionCredited: true } },
+  )
+
+  return Boolean(group)
+}
+
+// Undo claimResolutionCredit for a reopened complaint that held its group's credit, and reopen
+// the group, so the next accepted complaint of the group is credited again
+const releaseResolutionCredit = async (complaint, now = new Date()) => {
+  if (!complaint.caseGroup) {
+    return
+  }
+
+  const update = { status: CASE_GROUP_STATUS.OPEN, updatedAt: now, $unset: { closedAt: "" } }
+
+  if (complaint.resolution && complaint.resolution.credited) {
+    update.resolutionCredited = false
+  }
+
+  await CaseGroup.updateOne({ _id: complaint.caseGroup }, update)
+}
+
+// Close a case group once none of its complaints is still open
+const settleCaseGroup = async (groupId, now = new Date()) => {
+  if (!groupId) {
+    return null
+  }
+
+  const group = await CaseGroup.findById(groupId)
+
+  if (!group || group.status === CASE_GROUP_STATUS.CLOSED) {
+    return group
+  }
+
+  const openComplaints = await Complaint.countDocuments({
+    caseGroup: group._id,
+    status: { $nin: FINAL_COMPLAINT_STATUSES },
+  })
+
+  if (openComplaints === 0) {
+    group.status = CASE_GROUP_STATUS.CLOSED
+    group.closedAt = now
+    group.updatedAt = now
+    await group.save()
+  }
+
+  return group
+}
+
+// Take a saved complaint that moved to another handler level on its own, escalated by its citizen or
+// the scheduler, out of its case group. The group stays with the level working its other complaints
+// and closes once none of them is open. Pass `user` as null for automatic escalations.
+const leaveCaseGroupOnEscalation = async (complaint, transition, user, now = new Date()) => {
+  if (!complaint.caseGroup || !transition || !transition.changesHandler) {
+    return
+  }
+
+  const groupId = complaint.caseGroup
+
+  await CaseGroup.updateOne({ _id: groupId }, { $pull: { complaints: complaint._id }, $set: { updatedAt: now } })
+
+  complaint.caseGroup = undefined
+  await complaint.save()
+
+  await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.UNGROUPED, user, {
+    before: { caseGroup: groupId },
+    message: `Left the case group when escalated to ${transition.toHandler.replace(/_/g, " ")}`,
+    date: now,
+  })
+  await settleCaseGroup(groupId, now)
+}
+
+module.exports = { claimResolutionCredit, releaseResolutionCredit, settleCaseGroup, leaveCaseGroupOnEscalation }
+
@@ -0,0 +1,95 @@
+const ComplaintEvent = require("../models/ComplaintEvent")
+const { USER_ROLES, ANONYMOUS_REPORTER_ROLE, COMPLAINT_EVENT_TYPES } = require("../config/constants")
+
+const SYSTEM_ROLE = "system"
+
+// Append an event to a complaint's timeline. Pass `user` as null for automatic events.
+const recordComplaintEvent = async (complaint, type, user, details = {}) => {
+  const event = new ComplaintEvent({
+    complaint: complaint._id,
+    type,
+    actor: user && user.id ? user.id : undefined,
+    actorRole: user ? user.role : SYSTEM_ROLE,
+    stage: complaint.currentStage,
+    status: complaint.status,
+    before: details.before,
+    after: details.after,
+    message: details.message,
+    internalComment: details.internalComment,
+    createdAt: details.date || new Date(),
+  })
+
+  await event.save()
+  return event
+}
+
+// Record one attachment_added event per attachment added to the complaint
+const recordAttachmentEvents = async (complaint, user, attachments, date = new Date()) => {
+  for (const attachment of attachments || []) {
+    await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.ATTACHMENT_ADDED, user, {
+      after: { attachment: attachment._id, originalName: attachment.originalName },
+      date,
+    })
+  }
+}
+
+// Record a stage transition produced by the complaint workflow
+const recordEscalationEvent = async (complaint, transition, user, reason, date = new Date()) =>
+  recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.ESCALATED, user, {
+    before: { stage: transition.fromStage, handler: transition.fromHandler },
+    after: { stage: transition.toStage, handler: transition.toHandler, assignee: transition.assignee },
+    message: reason,
+    date,
+  })
+
+// Record who a complaint was assigned to. Pass `user` as null for automatic assignment.
+const recordAssignmentEvent = async (complaint, user, previousAssignee, date = new Date()) =>
+  recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.ASSIGNED, user, {
+    before: { assignee: previousAssignee },
+    after: { assignee: complaint.assignee },
+    date,
+  })
+
+// Events of how handlers triage a complaint. Reporters see that they happened, not their details.
+const TRIAGE_EVENT_TYPES = [COMPLAINT_EVENT_TYPES.PRIORITY_CHANGED, COMPLAINT_EVENT_TYPES.ASSIGNED]
+
+// Triage details other events carry along, e.g. the new assignee of an escalated complaint
+const TRIAGE_DETAIL_FIELDS = ["assignee", "priority", "override"]
+
+const withoutTriageDetails = (details) => {
+  if (!details) {
+    return details
+  }
+
+  const visible = { ...details }
+  TRIAGE_DETAIL_FIELDS.forEach((field) => delete visible[field])
+  return visible
+}
+
+// Get a complaint's events in order, hiding handler-only notes and triage details from citizens
+// and anonymous reporters
+const getTimeline = async (complaintId, viewer) => {
+  const events = await ComplaintEvent.find({ complaint: complaintId })
+    .populate("actor", "firstName lastName officeName")
+    .sort({ createdAt: 1 })
+    .lean()
+
+  if (![USER_ROLES.CITIZEN, ANONYMOUS_REPORTER_ROLE].includes(viewer.role)) {
+    return events
+  }
+
+  return events.map(({ internalComment, before, after, ...event }) =>
+    TRIAGE_EVENT_TYPES.includes(event.type)
+      ? event
+      : { ...event, before: withoutTriageDetails(before), after: withoutTriageDetails(after) },
+  )
+}
+
+module.exports = {
+  recordComplaintEvent,
+  recordAttachmentEvents,
+  recordEscalationEvent,
+  recordAssignmentEvent,
+  getTimeline,
+}
+
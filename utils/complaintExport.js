@@ -0,0 +1,196 @@
+const { once } = require("events")
+const ExcelJS = require("exceljs")
+const Complaint = require("../models/Complaint")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : "")
+
+const daysBetween = (from, to) => (from && to ? Math.round(((new Date(to) - new Date(from)) / DAY_MS) * 10) / 10 : "")
+
+// Columns that can be exported. Each reads a row produced by exportPipeline.
+const EXPORT_COLUMNS = {
+  reference: { header: "Reference", value: (row) => row.reference || row._id.toString() },
+  title: { header: "Title", value: (row) => row.title },
+  office: { header: "Office", value: (row) => (row.office ? row.office.officeName : "") },
+  officeType: { header: "Office type", value: (row) => (row.office ? row.office.officeType : "") },
+  kifleketema: { header: "Kifleketema", value: (row) => row.kifleketema || "" },
+  wereda: { header: "Wereda", value: (row) => row.wereda || "" },
+  stage: { header: "Stage", value: (row) => row.currentStage },
+  status: { header: "Status", value: (row) => row.status },
+  priority: { header: "Priority", value: (row) => row.priority },
+  severityScore: { header: "Severity score", value: (row) => (row.severity ? row.severity.score : "") },
+  submittedAt: { header: "Submitted", value: (row) => formatDate(row.submittedAt) },
+  updatedAt: { header: "Last updated", value: (row) => formatDate(row.updatedAt) },
+  dueDate: { header: "Current deadline", value: (row) => formatDate(row.dueDate) },
+  resolvedAt: { header: "Resolved", value: (row) => formatDate(row.resolution && row.resolution.resolvedAt) },
+  escalations: { header: "Escalations", value: (row) => row.escalations },
+  resolutionDays: {
+    header: "Resolution time (days)",
+    value: (row) => daysBetween(row.submittedAt, row.resolution && row.resolution.resolvedAt),
+  },
+}
+
+const DEFAULT_EXPORT_COLUMNS = [
+  "reference",
+  "office",
+  "stage",
+  "status",
+  "submittedAt",
+  "dueDate",
+  "resolvedAt",
+  "escalations",
+  "resolutionDays",
+]
+
+// Parse a comma separated column list. Returns { columns } or { error }.
+const parseColumns = (value) => {
+  if (!value) {
+    return { columns: DEFAULT_EXPORT_COLUMNS }
+  }
+
+  const columns = String(value)
+    .split(",")
+    .map((column) => column.trim())
+    .filter(Boolean)
+  const unknown = columns.filter((column) => !EXPORT_COLUMNS[column])
+
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(", ")}. Available: ${Object.keys(EXPORT_COLUMNS).join(", ")}` }
+  }
+
+  return { columns }
+}
+
+// Spreadsheet programs run cell values starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+const toCsvField = (value) => {
+  let text = value === undefined || value === null ? "" : String(value)
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Add what the export columns need to the search pipeline, fetching only the fields they read
+const exportPipeline = (searchPipeline, sort) => [
+  ...searchPipeline,
+  { $sort: sort },
+  {
+    $project: {
+      reference: 1,
+      title: 1,
+      stakeholderOffice: 1,
+      kifleketema: 1,
+      wereda: 1,
+      currentStage: 1,
+      status: 1,
+      priority: 1,
+      "severity.score": 1,
+      submittedAt: 1,
+      updatedAt: 1,
+      dueDate: 1,
+      "resolution.resolvedAt": 1,
+      escalations: { $size: { $ifNull: ["$escalationHistory", []] } },
+    },
+  },
+  {
+    $lookup: {
+      from: "users",
+      localField: "stakeholderOffice",
+      foreignField: "_id",
+      as: "office",
+    },
+  },
+  {
+    $addFields: {
+      office: {
+        officeName: { $arrayElemAt: ["$office.officeName", 0] },
+        officeType: { $arrayElemAt: ["$office.officeType", 0] },
+      },
+    },
+  },
+]
+
+// Settle as `promise` does, or reject as soon as the client disconnects, since writes to `res`
+// never complete then
+const whileConnected = (res, promise) => {
+  if (res.destroyed && !res.writableFinished) {
+    return Promise.reject(new Error("Client disconnected during the export"))
+  }
+
+  return new Promise((resolve, reject) => {
+    const onClose = () => {
+      if (!res.writableFinished) {
+        reject(new Error("Client disconnected during the export"))
+      }
+    }
+
+    res.on("close", onClose)
+    res.on("error", reject)
+    promise.then(resolve, reject).finally(() => {
+      res.off("close", onClose)
+      res.off("error", reject)
+    })
+  })
+}
+
+// Wait for the client to catch up instead of buffering rows
+const waitForClient = (res) => whileConnected(res, res.writableNeedDrain ? once(res, "drain") : Promise.resolve())
+
+// Stream the complaints matched by the search pipeline to `res` as CSV or XLSX, one row at a time,
+// so large exports never sit in memory. Resolves with the number of rows written, and rejects when
+// the client disconnects before the export is complete.
+const streamComplaintExport = async ({ searchPipeline, sort, columns, format, res }) => {
+  const cursor = Complaint.aggregate(exportPipeline(searchPipeline, sort)).allowDiskUse(true).cursor()
+  const headers = columns.map((column) => EXPORT_COLUMNS[column].header)
+  const toValues = (row) => columns.map((column) => EXPORT_COLUMNS[column].value(row))
+  let rowCount = 0
+
+  try {
+    if (format === "xlsx") {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,
+        useStyles: false,
+        useSharedStrings: false,
+      })
+      const worksheet = workbook.addWorksheet("Complaints")
+
+      worksheet.addRow(headers).commit()
+
+      for await (const row of cursor) {
+        worksheet.addRow(toValues(row)).commit()
+        rowCount += 1
+        await waitForClient(res)
+      }
+
+      worksheet.commit()
+      await whileConnected(res, workbook.commit())
+
+      return rowCount
+    }
+
+    // Byte order mark so spreadsheet programs read Amharic text as UTF-8
+    res.write("\uFEFF")
+    res.write(`${headers.map(toCsvField).join(",")}\r\n`)
+
+    for await (const row of cursor) {
+      res.write(`${toValues(row).map(toCsvField).join(",")}\r\n`)
+      rowCount += 1
+      await waitForClient(res)
+    }
+
+    res.end()
+
+    return rowCount
+  } finally {
+    // Release the aggregation cursor also when the client went away halfway through
+    await cursor.close()
+  }
+}
+
+module.exports = { EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, parseColumns, streamComplaintExport }
+
@@ -0,0 +1,190 @@
+const mongoose = require("mongoose")
+const Complaint = require("../models/Complaint")
+const {
+  USER_ROLES,
+  COMPLAINT_HANDLERS,
+  COMPLAINT_PRIORITIES,
+  GEO_PRIVACY_DECIMALS,
+} = require("../config/constants")
+const { getHandlerOfficeId } = require("./complaintWorkflow")
+const { getOfficeId } = require("./assignment")
+const { OPEN_STATUSES } = require("./complaintSearch")
+
+// Map zoom used for clusters when none is given, and how many cells each side of a map tile is split into
+const DEFAULT_ZOOM = 12
+const MAX_ZOOM = 20
+const CLUSTER_CELLS_PER_TILE = 4
+
+const HEATMAP_LEVELS = ["kifleketema", "wereda"]
+
+const isValidLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90
+const isValidLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180
+
+const toNumber = (value) => (value === undefined || value === null || value === "" ? undefined : Number(value))
+
+// Read the map pin a reporter gives with a complaint, as `latitude` and `longitude` or as a "latitude,longitude"
+// `pin` from the map picker. Returns { geoLocation }, undefined when no pin is given, or { error }.
+const parseGeoLocation = (body) => {
+  const pin = body.pin ? String(body.pin).split(",") : null
+
+  if (pin && pin.length !== 2) {
+    return { error: "Pin must be given as latitude,longitude" }
+  }
+
+  const latitude = toNumber(pin ? pin[0].trim() : body.latitude)
+  const longitude = toNumber(pin ? pin[1].trim() : body.longitude)
+
+  if (latitude === undefined && longitude === undefined) {
+    return { geoLocation: undefined }
+  }
+
+  if (!isValidLatitude(latitude) || !isValidLongitude(longitude)) {
+    return { error: "Latitude must be between -90 and 90 and longitude between -180 and 180" }
+  }
+
+  return { geoLocation: { type: "Point", coordinates: [longitude, latitude] } }
+}
+
+// Whether the user's office handles the complaint: the office it is about, or the office of its area
+// at the level it is at
+const isHandlingOffice = (complaint, user) => {
+  if (user.role === USER_ROLES.STAKEHOLDER_OFFICE) {
+    const officeId = complaint.stakeholderOffice && (complaint.stakeholderOffice._id || complaint.stakeholderOffice)
+    return Boolean(officeId) && officeId.toString() === getOfficeId(user)
+  }
+
+  return getHandlerOfficeId(complaint) === getOfficeId(user)
+}
+
+// Aggregation expression of isHandlingOffice
+const handlingOfficeExpression = (user) => {
+  const officeId = new mongoose.Types.ObjectId(getOfficeId(user))
+
+  if (user.role === USER_ROLES.STAKEHOLDER_OFFICE) {
+    return { $eq: ["$stakeholderOffice", officeId] }
+  }
+
+  return {
+    $and: [{ $ne: ["$currentHandler", COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE] }, { $eq: ["$handlerOffice", officeId] }],
+  }
+}
+
+const roundCoordinate = (value) => Number(value.toFixed(GEO_PRIVACY_DECIMALS))
+
+const roundGeoLocation = (geoLocation) => ({ type: "Point", coordinates: geoLocation.coordinates.map(roundCoordinate) })
+
+// A complaint's pin as the user may see it: exact for the handling office, rounded for everyone else
+const geoLocationForViewer = (geoLocation, complaint, user) => {
+  if (!geoLocation || !geoLocation.coordinates || isHandlingOffice(complaint, user)) {
+    return geoLocation
+  }
+
+  return roundGeoLocation(geoLocation)
+}
+
+// Read the map zoom clusters are built for. Returns { zoom } or { error }.
+const parseZoom = (value) => {
+  if (value === undefined || value === "") {
+    return { zoom: DEFAULT_ZOOM }
+  }
+
+  const zoom = Number(value)
+
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+    return { error: `Zoom must be a whole number from 0 to ${MAX_ZOOM}` }
+  }
+
+  return { zoom }
+}
+
+const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } })
+
+const roundedOrExact = (field) => ({ $cond: ["$precise", field, { $round: [field, GEO_PRIVACY_DECIMALS] }] })
+
+// Group the pinned complaints matched by the search pipeline into grid cells sized for the map zoom.
+// Pins of complaints the user's office does not handle are rounded before grouping, so neither a
+// cluster's position nor a single complaint's pin gives away more than GEO_PRIVACY_DECIMALS allow.
+const clusterComplaints = async (searchPipeline, user, zoom) => {
+  const cellSize = 360 / 2 ** zoom / CLUSTER_CELLS_PER_TILE
+
+  const clusters = await Complaint.aggregate([
+    ...searchPipeline,
+    { $match: { "geoLocation.coordinates": { $exists: true } } },
+    {
+      $project: {
+        reference: 1,
+        priority: 1,
+        status: 1,
+        precise: handlingOfficeExpression(user),
+        longitude: { $arrayElemAt: ["$geoLocation.coordinates", 0] },
+        latitude: { $arrayElemAt: ["$geoLocation.coordinates", 1] },
+      },
+    },
+    { $addFields: { longitude: roundedOrExact("$longitude"), latitude: roundedOrExact("$latitude") } },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: ["$longitude", cellSize] } },
+          y: { $floor: { $divide: ["$latitude", cellSize] } },
+        },
+        count: { $sum: 1 },
+        critical: countWhere({ $eq: ["$priority", COMPLAINT_PRIORITIES.CRITICAL] }),
+        open: countWhere({ $in: ["$status", OPEN_STATUSES] }),
+        longitude: { $avg: "$longitude" },
+        latitude: { $avg: "$latitude" },
+        precise: { $min: "$precise" },
+        complaint: { $first: { _id: "$_id", reference: "$reference", priority: "$priority", status: "$status" } },
+      },
+    },
+    { $sort: { count: -1 } },
+  ])
+
+  return clusters.map(({ _id, longitude, latitude, complaint, ...cluster }) => ({
+    coordinates: [longitude, latitude],
+    ...cluster,
+    // A cluster of one stands for that complaint
+    complaint: cluster.count === 1 ? complaint : undefined,
+  }))
+}
+
+// Count the complaints matched by the search pipeline per kifleketema, or per wereda within each
+// kifleketema. Each area gets the rounded center of its pins for placing it on the map.
+const heatmapByArea = async (searchPipeline, level, now = new Date()) => {
+  const areas = await Complaint.aggregate([
+    ...searchPipeline,
+    {
+      $group: {
+        _id: level === "wereda" ? { kifleketema: "$kifleketema", wereda: "$wereda" } : { kifleketema: "$kifleketema" },
+        count: { $sum: 1 },
+        open: countWhere({ $in: ["$status", OPEN_STATUSES] }),
+        overdue: countWhere({
+          $and: [{ $in: ["$status", OPEN_STATUSES] }, { $eq: ["$hasDueDate", 1] }, { $lt: ["$dueDate", now] }],
+        }),
+        critical: countWhere({ $eq: ["$priority", COMPLAINT_PRIORITIES.CRITICAL] }),
+        pinned: countWhere({ $ifNull: ["$geoLocation.coordinates", false] }),
+        longitude: { $avg: { $arrayElemAt: ["$geoLocation.coordinates", 0] } },
+        latitude: { $avg: { $arrayElemAt: ["$geoLocation.coordinates", 1] } },
+      },
+    },
+    { $sort: { count: -1 } },
+  ])
+
+  return areas.map(({ _id, longitude, latitude, ...area }) => ({
+    kifleketema: _id.kifleketema || null,
+    ...(level === "wereda" ? { wereda: _id.wereda || null } : {}),
+    ...area,
+    center: area.pinned > 0 ? [roundCoordinate(longitude), roundCoordinate(latitude)] : null,
+  }))
+}
+
+module.exports = {
+  HEATMAP_LEVELS,
+  parseGeoLocation,
+  roundGeoLocation,
+  isHandlingOffice,
+  geoLocationForViewer,
+  parseZoom,
+  clusterComplaints,
+  heatmapByArea,
+}
+
@@ -0,0 +1,207 @@
+const path = require("path")
+const PDFDocument = require("pdfkit")
+const QRCode = require("qrcode")
+const { USER_ROLES, ANONYMOUS_REPORTER_ROLE, WORKING_CALENDAR } = require("../config/constants")
+const { getCurrentDueDate } = require("./complaintWorkflow")
+
+// Where citizens follow up a complaint; the QR code on the acknowledgment slip links here
+const CLIENT_URL = process.env.CLIENT_URL || "http://localhost:3000"
+
+// The font package only exports its LICENSE to require.resolve, the font files sit next to it
+const FONT_DIR = path.join(path.dirname(require.resolve("@fontsource/noto-sans-ethiopic/LICENSE")), "files")
+
+// Noto Sans Ethiopic ships the Ethiopic and Latin glyphs as separate files
+const FONT_FILES = {
+  ethiopic: "noto-sans-ethiopic-ethiopic-400-normal.woff",
+  "ethiopic-bold": "noto-sans-ethiopic-ethiopic-700-normal.woff",
+  latin: "noto-sans-ethiopic-latin-400-normal.woff",
+  "latin-bold": "noto-sans-ethiopic-latin-700-normal.woff",
+}
+
+// Ethiopic, Ethiopic Supplement, Ethiopic Extended and Ethiopic Extended-A
+const ETHIOPIC_RANGES = "\u1200-\u139F\u2D80-\u2DDF\uAB00-\uAB2F"
+const ETHIOPIC_RUN = new RegExp(`([${ETHIOPIC_RANGES}]+)`)
+const ETHIOPIC_TEXT = new RegExp(`^[${ETHIOPIC_RANGES}]`)
+
+const REPORTER_ROLES = [USER_ROLES.CITIZEN, ANONYMOUS_REPORTER_ROLE]
+
+const UTC_OFFSET = WORKING_CALENDAR.UTC_OFFSET_MINUTES * 60 * 1000
+
+// Addis Ababa local time, e.g. "2026-03-02 14:05"
+const formatDate = (value) =>
+  value ? new Date(new Date(value).getTime() + UTC_OFFSET).toISOString().slice(0, 16).replace("T", " ") : "-"
+
+// "stakeholder_first" -> "Stakeholder first"
+const humanize = (value) => {
+  const text = String(value || "-").replace(/_/g, " ")
+  return text.charAt(0).toUpperCase() + text.slice(1)
+}
+
+const personName = (person) => {
+  if (!person) {
+    return "-"
+  }
+
+  return person.officeName || [person.firstName, person.lastName].filter(Boolean).join(" ") || "-"
+}
+
+// Link printed as the QR code: the public status lookup, which still asks for the phone digits or passphrase
+const statusUrl = (complaint) => `${CLIENT_URL}/lookup/${encodeURIComponent(complaint.reference)}`
+
+const createDocument = (title) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: title } })
+
+  Object.entries(FONT_FILES).forEach(([name, file]) => doc.registerFont(name, path.join(FONT_DIR, file)))
+
+  return doc.fontSize(10)
+}
+
+// Write text, switching between the Ethiopic and Latin fonts for each run of script
+const writeText = (doc, text, { bold = false, continued = false, ...options } = {}) => {
+  const runs = String(text).split(ETHIOPIC_RUN).filter(Boolean)
+
+  runs.forEach((run, index) => {
+    const font = ETHIOPIC_TEXT.test(run) ? "ethiopic" : "latin"
+
+    doc.font(bold ? `${font}-bold` : font).text(run, { ...options, continued: continued || index < runs.length - 1 })
+  })
+
+  return doc
+}
+
+const field = (doc, label, value) => {
+  writeText(doc, `${label}: `, { bold: true, continued: true })
+  writeText(doc, value === undefined || value === null || value === "" ? "-" : value)
+}
+
+const heading = (doc, text) => {
+  doc.moveDown().fontSize(13)
+  writeText(doc, text, { bold: true })
+  doc.fontSize(10).moveDown(0.3)
+}
+
+const header = (doc, title, complaint) => {
+  doc.fontSize(16)
+  writeText(doc, "Anti-Corruption Complaint Office", { bold: true, align: "center" })
+  doc.fontSize(12)
+  writeText(doc, title, { align: "center" })
+  doc.fontSize(10).moveDown()
+  field(doc, "Reference", complaint.reference || complaint._id.toString())
+}
+
+// Send the PDF acknowledgment slip handed to the citizen once a complaint is registered
+const streamAcknowledgmentSlip = async (complaint, res) => {
+  const url = statusUrl(complaint)
+  const qrCode = await QRCode.toBuffer(url, { margin: 1, width: 240 })
+  const doc = createDocument("Complaint acknowledgment slip")
+
+  doc.pipe(res)
+
+  header(doc, "Complaint acknowledgment slip", complaint)
+  field(doc, "Title", complaint.title)
+  field(doc, "Office", personName(complaint.stakeholderOffice))
+  field(doc, "Location", [complaint.location, complaint.wereda, complaint.kifleketema].filter(Boolean).join(", "))
+  field(doc, "Submitted", formatDate(complaint.submittedAt))
+  field(doc, "First response due", formatDate(complaint.stakeholderFirstResponseDue))
+
+  // QR code on the left, a box for the receiving office's stamp on the right
+  const top = doc.y + 15
+  const stampLeft = doc.page.width - doc.page.margins.right - 160
+  doc.image(qrCode, doc.page.margins.left, top, { fit: [120, 120] })
+  doc.rect(stampLeft, top, 160, 120).stroke()
+  doc.font("latin").text("Office stamp", stampLeft, top + 125, { width: 160, align: "center" })
+
+  doc.x = doc.page.margins.left
+  doc.y = top + 150
+  writeText(doc, "Keep this slip. Scan the code to follow the progress of your complaint:")
+  writeText(doc, url)
+
+  doc.end()
+}
+
+// Send the PDF case summary of a complaint: details, history, responses and resolution.
+// `events` is the timeline as returned by getTimeline for the viewer.
+const streamCaseSummary = (complaint, events, viewer, res, now = new Date()) => {
+  const isReporter = REPORTER_ROLES.includes(viewer.role)
+  const doc = createDocument("Complaint case summary")
+
+  doc.pipe(res)
+
+  header(doc, "Complaint case summary", complaint)
+  field(doc, "Title", complaint.title)
+  field(doc, "Reporter", complaint.isAnonymous ? "Anonymous" : personName(complaint.user))
+  field(doc, "Office", personName(complaint.stakeholderOffice))
+  field(doc, "Location", [complaint.location, complaint.wereda, complaint.kifleketema].filter(Boolean).join(", "))
+  field(doc, "Submitted", formatDate(complaint.submittedAt))
+  field(doc, "Status", humanize(complaint.status))
+  field(doc, "Current stage", humanize(complaint.currentStage))
+  field(doc, "Current deadline", formatDate(getCurrentDueDate(complaint)))
+  doc.moveDown(0.3)
+  writeText(doc, complaint.description)
+
+  heading(doc, "History")
+
+  if (events.length === 0) {
+    writeText(doc, "No recorded events.")
+  }
+
+  events.forEach((event) => {
+    writeText(doc, `${formatDate(event.createdAt)}  `, { continued: true })
+    writeText(doc, humanize(event.type), { bold: true, continued: true })
+    writeText(doc, ` by ${event.actor ? personName(event.actor) : humanize(event.actorRole)}`)
+
+    if (event.message) {
+      writeText(doc, event.message, { indent: 15 })
+    }
+
+    if (event.internalComment) {
+      writeText(doc, `Internal: ${event.internalComment}`, { indent: 15 })
+    }
+  })
+
+  heading(doc, "Responses")
+
+  if (complaint.responses.length === 0) {
+    writeText(doc, "No responses yet.")
+  }
+
+  complaint.responses.forEach((response) => {
+    writeText(doc, `${formatDate(response.createdAt)}  `, { continued: true })
+    writeText(doc, `${personName(response.responder)} (${humanize(response.responderRole)})`, { bold: true })
+    writeText(doc, response.response || "-", { indent: 15 })
+
+    // Internal comments are for the handling offices only
+    if (response.internalComment && !isReporter) {
+      writeText(doc, `Internal: ${response.internalComment}`, { indent: 15 })
+    }
+
+    if (response.rejection && response.rejection.rejectedAt) {
+      writeText(doc, `Rejected by the citizen: ${humanize(response.rejection.category)}`, { indent: 15 })
+    }
+
+    doc.moveDown(0.3)
+  })
+
+  heading(doc, "Resolution")
+
+  if (complaint.resolution && complaint.resolution.resolvedAt) {
+    field(doc, "Resolved by", personName(complaint.resolution.resolvedBy))
+    field(doc, "Resolved", formatDate(complaint.resolution.resolvedAt))
+    field(doc, "Resolution", complaint.resolution.resolution)
+
+    if (complaint.satisfaction && complaint.satisfaction.rating) {
+      field(doc, "Citizen rating", `${complaint.satisfaction.rating} / 5`)
+    }
+  } else {
+    writeText(doc, "Not resolved yet.")
+  }
+
+  doc.moveDown()
+  doc.fontSize(8)
+  writeText(doc, `Generated ${formatDate(now)}`, { align: "right" })
+
+  doc.end()
+}
+
+module.exports = { streamAcknowledgmentSlip, streamCaseSummary }
+
@@ -0,0 +1,34 @@
+const Counter = require("../models/Counter")
+const { KIFLEKETEMA_CODES } = require("../config/constants")
+const { toLocalDateKey } = require("./workingCalendar")
+
+const CITY_CODE = "AA"
+
+// City, kifleketema, wereda, year and counter, e.g. AA-BOLE-W03-2026-000123
+const REFERENCE_PATTERN = /^AA-[A-Z]+-W\d{2,}-\d{4}-\d{6,}$/
+
+// Accept references typed in lower case or with surrounding spaces
+const normalizeReference = (value) => String(value || "").trim().toUpperCase()
+
+const isReference = (value) => REFERENCE_PATTERN.test(normalizeReference(value))
+
+// Everything before the counter. Each prefix has its own sequence.
+const referencePrefix = (complaint) => {
+  const kifleketema = KIFLEKETEMA_CODES[complaint.kifleketema] || "GEN"
+  const weredaNumber = String(complaint.wereda || "").replace(/\D/g, "") || "0"
+  const year = toLocalDateKey(complaint.submittedAt || new Date()).slice(0, 4)
+
+  return `${CITY_CODE}-${kifleketema}-W${weredaNumber.padStart(2, "0")}-${year}`
+}
+
+// Take the next number of the complaint's sequence. The increment is atomic, so two complaints
+// submitted at the same time never share a reference.
+const generateReference = async (complaint) => {
+  const prefix = referencePrefix(complaint)
+  const counter = await Counter.findOneAndUpdate({ _id: prefix }, { $inc: { seq: 1 } }, { new: true, upsert: true })
+
+  return `${prefix}-${String(counter.seq).padStart(6, "0")}`
+}
+
+module.exports = { normalizeReference, isReference, generateReference }
+
@@ -0,0 +1,362 @@
+const mongoose = require("mongoose")
+const Complaint = require("../models/Complaint")
+const User = require("../models/User")
+const {
+  USER_ROLES,
+  OFFICE_TYPES,
+  COMPLAINT_STAGES,
+  COMPLAINT_STATUS,
+  COMPLAINT_HANDLERS,
+  COMPLAINT_PRIORITIES,
+  FINAL_COMPLAINT_STATUSES,
+} = require("../config/constants")
+const { dueDateRangeQuery, currentDueDateExpression } = require("./complaintWorkflow")
+const { toAggregateMatch } = require("./complaintStats")
+const { normalizeReference, isReference } = require("./complaintReference")
+
+const SORT_FIELDS = {
+  deadline: "dueDate",
+  submitted: "submittedAt",
+  updated: "updatedAt",
+  priority: "priorityRank",
+}
+
+// Statuses in which a complaint's deadline is running
+const OPEN_STATUSES = Object.values(COMPLAINT_STATUS).filter(
+  (status) => !FINAL_COMPLAINT_STATUSES.includes(status) && status !== COMPLAINT_STATUS.AWAITING_CITIZEN,
+)
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+const toObjectId = (value) => new mongoose.Types.ObjectId(value)
+
+// Read a map area given as "west,south,east,north" in degrees. Returns the GeoJSON polygon or null.
+const parseBounds = (value) => {
+  const [west, south, east, north] = String(value).split(",").map((part) => Number(part.trim()))
+
+  if (
+    ![west, south, east, north].every(Number.isFinite) ||
+    west >= east ||
+    south >= north ||
+    Math.abs(south) > 90 ||
+    Math.abs(north) > 90 ||
+    Math.abs(west) > 180 ||
+    Math.abs(east) > 180
+  ) {
+    return null
+  }
+
+  return {
+    type: "Polygon",
+    coordinates: [
+      [
+        [west, south],
+        [east, south],
+        [east, north],
+        [west, north],
+        [west, south],
+      ],
+    ],
+  }
+}
+
+const parseDate = (value) => {
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+// Turn the search parameters of GET /api/complaints into query conditions. The conditions are
+// combined with the role scoping query, never replace it. Returns { text, conditions } or { error }.
+const buildSearchConditions = async (params, user, now = new Date()) => {
+  const conditions = []
+
+  if (params.status && params.status !== "all") {
+    conditions.push({ status: { $in: toList(params.status) } })
+  }
+
+  if (params.stage) {
+    const stages = toList(params.stage)
+
+    if (stages.some((stage) => !Object.values(COMPLAINT_STAGES).includes(stage))) {
+      return { error: "Invalid stage" }
+    }
+
+    conditions.push({ currentStage: { $in: stages } })
+  }
+
+  if (params.dateFrom || params.dateTo) {
+    const submittedAt = {}
+
+    if (params.dateFrom) {
+      submittedAt.$gte = parseDate(params.dateFrom)
+    }
+
+    if (params.dateTo) {
+      submittedAt.$lte = parseDate(params.dateTo)
+    }
+
+    if (submittedAt.$gte === null || submittedAt.$lte === null) {
+      return { error: "Invalid date range" }
+    }
+
+    conditions.push({ submittedAt })
+  }
+
+  if (params.kifleketema) {
+    conditions.push({ kifleketema: params.kifleketema })
+  }
+
+  if (params.wereda) {
+    conditions.push({ wereda: params.wereda })
+  }
+
+  if (params.officeType) {
+    const officeTypes = toList(params.officeType)
+
+    if (officeTypes.some((type) => !Object.values(OFFICE_TYPES).includes(type))) {
+      return { error: "Invalid office type" }
+    }
+
+    const offices = await User.find({
+      role: USER_ROLES.STAKEHOLDER_OFFICE,
+      officeType: { $in: officeTypes },
+      office: null,
+    }).distinct("_id")
+
+    conditions.push({ stakeholderOffice: { $in: offices } })
+  }
+
+  if (params.overdue === "true") {
+    conditions.push({ status: { $in: OPEN_STATUSES } }, dueDateRangeQuery(null, now))
+  }
+
+  if (params.dueWithinHours) {
+    const hours = Number(params.dueWithinHours)
+
+    if (!Number.isFinite(hours) || hours <= 0) {
+      return { error: "dueWithinHours must be a positive number" }
+    }
+
+    conditions.push(
+      { status: { $in: OPEN_STATUSES } },
+      dueDateRangeQuery(now, new Date(now.getTime() + hours * 60 * 60 * 1000)),
+    )
+  }
+
+  if (params.priority) {
+    const priorities = toList(params.priority)
+
+    if (priorities.some((priority) => !Object.values(COMPLAINT_PRIORITIES).includes(priority))) {
+      return { error: "Invalid priority" }
+    }
+
+    // Complaints from before triage have no priority and count as medium
+    const values = priorities.includes(COMPLAINT_PRIORITIES.MEDIUM) ? [...priorities, null] : priorities
+    conditions.push({ priority: { $in: values } })
+  }
+
+  // Complaints pinned inside the part of the map being looked at
+  if (params.bounds) {
+    const bounds = parseBounds(params.bounds)
+
+    if (!bounds) {
+      return { error: "Bounds must be west,south,east,north in degrees" }
+    }
+
+    conditions.push({ geoLocation: { $geoWithin: { $geometry: bounds } } })
+  }
+
+  if (params.hasLocation === "true") {
+    conditions.push({ "geoLocation.coordinates": { $exists: true } })
+  } else if (params.hasLocation === "false") {
+    conditions.push({ "geoLocation.coordinates": { $exists: false } })
+  }
+
+  if (params.hasAttachments === "true") {
+    conditions.push({ "attachments.0": { $exists: true } })
+  } else if (params.hasAttachments === "false") {
+    conditions.push({ "attachments.0": { $exists: false } })
+  }
+
+  // "mine" is the officer's own queue; "unassigned" lists complaints waiting for a supervisor
+  const assignee = params.assignee || params.queue
+
+  if (assignee === "me" || assignee === "mine") {
+    conditions.push({ assignee: toObjectId(user.id) })
+  } else if (assignee === "unassigned") {
+    conditions.push({ assignee: null })
+  } else if (assignee) {
+    if (!mongoose.Types.ObjectId.isValid(assignee)) {
+      return { error: "Invalid assignee" }
+    }
+
+    conditions.push({ assignee: toObjectId(assignee) })
+  }
+
+  // A reference number finds that complaint instead of searching the text
+  if (params.q && isReference(params.q)) {
+    conditions.push({ reference: normalizeReference(params.q) })
+    return { text: "", conditions }
+  }
+
+  return { text: params.q ? String(params.q).trim() : "", conditions }
+}
+
+// Handlers' queues put the most urgent complaints first, then the nearest deadlines
+const buildSort = (params, hasText, isHandler) => {
+  const order = params.order === "asc" ? 1 : -1
+
+  if (!params.sort) {
+    if (hasText) {
+      return { score: -1, updatedAt: -1 }
+    }
+
+    return isHandler ? { priorityRank: -1, hasDueDate: -1, dueDate: 1, _id: 1 } : { updatedAt: -1 }
+  }
+
+  const field = SORT_FIELDS[params.sort]
+
+  if (!field) {
+    return null
+  }
+
+  // Complaints without a running deadline go last, also among complaints of the same priority
+  if (field === "priorityRank") {
+    return { priorityRank: order, hasDueDate: -1, dueDate: 1, _id: 1 }
+  }
+
+  return field === "dueDate" ? { hasDueDate: -1, dueDate: order, _id: 1 } : { [field]: order, _id: 1 }
+}
+
+// Where attachments are stored stays private, as in the Complaint model's toJSON
+const HIDDEN_ATTACHMENT_FIELDS = {
+  "attachments.storageKey": 0,
+  "attachments.storageBackend": 0,
+  "attachments.thumbnailKey": 0,
+  "attachments.previewKey": 0,
+  "responses.attachments.storageKey": 0,
+  "responses.attachments.storageBackend": 0,
+  "responses.attachments.thumbnailKey": 0,
+  "responses.attachments.previewKey": 0,
+  "directives.evidence.storageKey": 0,
+  "directives.evidence.storageBackend": 0,
+  "directives.evidence.thumbnailKey": 0,
+  "directives.evidence.previewKey": 0,
+}
+
+const countBy = (field) => [{ $group: { _id: `$${field}`, count: { $sum: 1 } } }, { $sort: { count: -1 } }]
+
+// Aggregation stages selecting the complaints visible under `scope` (the role scoping query) that
+// match the user's filters, with the current deadline added as `dueDate`. Returns { pipeline, sort } or { error }.
+const buildSearchPipeline = async (scope, params, user, now = new Date()) => {
+  const { text, conditions, error } = await buildSearchConditions(params, user, now)
+
+  if (error) {
+    return { error }
+  }
+
+  const sort = buildSort(params, Boolean(text), Object.values(COMPLAINT_HANDLERS).includes(user.role))
+
+  if (!sort) {
+    return { error: `Sort must be one of: ${Object.keys(SORT_FIELDS).join(", ")}` }
+  }
+
+  const match = toAggregateMatch(scope)
+
+  if (text) {
+    match.$text = { $search: text }
+  }
+
+  if (conditions.length > 0) {
+    match.$and = [...(match.$and || []), ...conditions]
+  }
+
+  const pipeline = [
+    { $match: match },
+    {
+      $addFields: {
+        dueDate: currentDueDateExpression(),
+        // Complaints from before triage count as medium priority
+        priority: { $ifNull: ["$priority", COMPLAINT_PRIORITIES.MEDIUM] },
+        priorityRank: { $ifNull: ["$priorityRank", 2] },
+        ...(text ? { score: { $meta: "textScore" } } : {}),
+      },
+    },
+    { $addFields: { hasDueDate: { $cond: [{ $ifNull: ["$dueDate", false] }, 1, 0] } } },
+  ]
+
+  return { pipeline, sort }
+}
+
+// Search the complaints visible under `scope` with the user's filters.
+// Returns one page of complaints, the total and facet counts for the matching set.
+const searchComplaints = async (scope, params, user, { page, limit, now = new Date() }) => {
+  const { pipeline, sort, error } = await buildSearchPipeline(scope, params, user, now)
+
+  if (error) {
+    return { error }
+  }
+
+  const [result] = await Complaint.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        complaints: [
+          { $sort: sort },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: { trackingCode: 0, passphraseHash: 0, hasDueDate: 0, ...HIDDEN_ATTACHMENT_FIELDS } },
+        ],
+        total: [{ $count: "count" }],
+        status: countBy("status"),
+        stage: countBy("currentStage"),
+        kifleketema: countBy("kifleketema"),
+        wereda: countBy("wereda"),
+        priority: countBy("priority"),
+        officeType: [
+          { $group: { _id: "$stakeholderOffice", count: { $sum: 1 } } },
+          { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "office" } },
+          { $group: { _id: { $arrayElemAt: ["$office.officeType", 0] }, count: { $sum: "$count" } } },
+          { $sort: { count: -1 } },
+        ],
+        overdue: [
+          { $match: { status: { $in: OPEN_STATUSES }, dueDate: { $lt: now } } },
+          { $count: "count" },
+        ],
+        withAttachments: [{ $match: { "attachments.0": { $exists: true } } }, { $count: "count" }],
+        assigned: [{ $match: { assignee: { $ne: null } } }, { $count: "count" }],
+      },
+    },
+  ])
+
+  const count = (facet) => (facet.length > 0 ? facet[0].count : 0)
+  const buckets = (facet) => facet.map(({ _id, count }) => ({ value: _id, count }))
+
+  const complaints = await Complaint.populate(result.complaints, [
+    { path: "user", select: "firstName lastName email" },
+    { path: "stakeholderOffice", select: "officeName officeType kifleketema wereda" },
+    { path: "assignee", select: "firstName lastName" },
+  ])
+
+  return {
+    complaints,
+    total: count(result.total),
+    facets: {
+      status: buckets(result.status),
+      stage: buckets(result.stage),
+      kifleketema: buckets(result.kifleketema),
+      wereda: buckets(result.wereda),
+      priority: buckets(result.priority),
+      officeType: buckets(result.officeType),
+      overdue: count(result.overdue),
+      withAttachments: count(result.withAttachments),
+      assigned: count(result.assigned),
+    },
+  }
+}
+
+module.exports = { OPEN_STATUSES, buildSearchConditions, buildSearchPipeline, searchComplaints }
+
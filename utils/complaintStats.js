@@ -0,0 +1,105 @@
+const mongoose = require("mongoose")
+const Complaint = require("../models/Complaint")
+
+// Aggregation pipelines do not cast values, so convert id strings in a complaint query
+const toAggregateMatch = (query) => {
+  const match = { ...query }
+
+  ;["stakeholderOffice", "user", "category", "subCategory", "assignee"].forEach((field) => {
+    if (typeof match[field] === "string" && mongoose.Types.ObjectId.isValid(match[field])) {
+      match[field] = new mongoose.Types.ObjectId(match[field])
+    }
+  })
+
+  return match
+}
+
+// Count complaints per category (or sub-category) and status for the given query
+const getCategoryBreakdown = async (query = {}, field = "category") => {
+  const breakdown = await Complaint.aggregate([
+    { $match: toAggregateMatch(query) },
+    {
+      $group: {
+        _id: `$${field}`,
+        total: { $sum: 1 },
+        pending: { $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] } },
+        inProgress: { $sum: { $cond: [{ $eq: ["$status", "in_progress"] }, 1, 0] } },
+        resolved: { $sum: { $cond: [{ $eq: ["$status", "resolved"] }, 1, 0] } },
+        escalated: { $sum: { $cond: [{ $eq: ["$status", "escalated"] }, 1, 0] } },
+      },
+    },
+    {
+      $lookup: {
+        from: "complaintcategories",
+        localField: "_id",
+        foreignField: "_id",
+        as: "category",
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        category: "$_id",
+        name: { $ifNull: [{ $arrayElemAt: ["$category.name", 0] }, "Uncategorized"] },
+        code: { $arrayElemAt: ["$category.code", 0] },
+        total: 1,
+        pending: 1,
+        inProgress: 1,
+        resolved: 1,
+        escalated: 1,
+      },
+    },
+    { $sort: { total: -1 } },
+  ])
+
+  return breakdown
+}
+
+// Count complaints per stakeholder office and category
+const getOfficeCategoryBreakdown = async (query = {}) => {
+  const rows = await Complaint.aggregate([
+    { $match: toAggregateMatch(query) },
+    {
+      $group: {
+        _id: { office: "$stakeholderOffice", category: "$category" },
+        total: { $sum: 1 },
+        resolved: { $sum: { $cond: [{ $eq: ["$status", "resolved"] }, 1, 0] } },
+      },
+    },
+    {
+      $lookup: {
+        from: "complaintcategories",
+        localField: "_id.category",
+        foreignField: "_id",
+        as: "category",
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        office: "$_id.office",
+        category: "$_id.category",
+        name: { $ifNull: [{ $arrayElemAt: ["$category.name", 0] }, "Uncategorized"] },
+        total: 1,
+        resolved: 1,
+      },
+    },
+  ])
+
+  // Group rows by office id
+  const byOffice = {}
+  rows.forEach(({ office, ...row }) => {
+    const key = office ? office.toString() : "unknown"
+
+    if (!byOffice[key]) {
+      byOffice[key] = []
+    }
+
+    byOffice[key].push(row)
+  })
+
+  return byOffice
+}
+
+module.exports = { toAggregateMatch, getCategoryBreakdown, getOfficeCategoryBreakdown }
+
@@ -0,0 +1,1025 @@
+const mongoose = require("mongoose")
+const OfficePerformance = require("../models/OfficePerformance")
+const User = require("../models/User")
+const { addWorkingDays, addWorkingMinutes, workingMinutesBetween } = require("./workingCalendar")
+const { getOfficeId, isSupervisor, pickOfficer } = require("./assignment")
+const { notifyUser } = require("./notifications")
+const {
+  ANONYMOUS_REPORTER_ROLE,
+  USER_ROLES,
+  COMPLAINT_STAGES,
+  COMPLAINT_HANDLERS,
+  COMPLAINT_STATUS,
+  ESCALATION_TIMEFRAMES,
+  CRITICAL_ESCALATION_TIMEFRAMES,
+  COMPLAINT_PRIORITIES,
+  INFORMATION_REQUEST_REPLY_DAYS,
+  COMPLAINT_EVENT_TYPES,
+  FINAL_COMPLAINT_STATUSES,
+  REOPEN_WINDOW_DAYS,
+} = require("../config/constants")
+
+// Every complaint stage, in order. Each stage knows who handles it, which due date field
+// tracks it, how many working days the handler has to respond (fewer for critical complaints)
+// and which stage follows it.
+const STAGE_DEFINITIONS = {
+  [COMPLAINT_STAGES.STAKEHOLDER_FIRST]: {
+    handler: COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE,
+    round: "first",
+    dueDateField: "stakeholderFirstResponseDue",
+    workingDays: ESCALATION_TIMEFRAMES.STAKEHOLDER_RESPONSE,
+    criticalWorkingDays: CRITICAL_ESCALATION_TIMEFRAMES.STAKEHOLDER_RESPONSE,
+    next: COMPLAINT_STAGES.STAKEHOLDER_SECOND,
+  },
+  [COMPLAINT_STAGES.STAKEHOLDER_SECOND]: {
+    handler: COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE,
+    round: "second",
+    dueDateField: "stakeholderSecondResponseDue",
+    workingDays: ESCALATION_TIMEFRAMES.STAKEHOLDER_RESPONSE,
+    criticalWorkingDays: CRITICAL_ESCALATION_TIMEFRAMES.STAKEHOLDER_RESPONSE,
+    next: COMPLAINT_STAGES.WEREDA_FIRST,
+  },
+  [COMPLAINT_STAGES.WEREDA_FIRST]: {
+    handler: COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION,
+    round: "first",
+    dueDateField: "weredaFirstResponseDue",
+    workingDays: ESCALATION_TIMEFRAMES.WEREDA_RESPONSE,
+    criticalWorkingDays: CRITICAL_ESCALATION_TIMEFRAMES.WEREDA_RESPONSE,
+    next: COMPLAINT_STAGES.WEREDA_SECOND,
+  },
+  [COMPLAINT_STAGES.WEREDA_SECOND]: {
+    handler: COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION,
+    round: "second",
+    dueDateField: "weredaSecondResponseDue",
+    workingDays: ESCALATION_TIMEFRAMES.WEREDA_RESPONSE,
+    criticalWorkingDays: CRITICAL_ESCALATION_TIMEFRAMES.WEREDA_RESPONSE,
+    next: COMPLAINT_STAGES.KIFLEKETEMA_FIRST,
+  },
+  [COMPLAINT_STAGES.KIFLEKETEMA_FIRST]: {
+    handler: COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION,
+    round: "first",
+    dueDateField: "kifleketemaFirstResponseDue",
+    workingDays: ESCALATION_TIMEFRAMES.KIFLEKETEMA_RESPONSE,
+    criticalWorkingDays: CRITICAL_ESCALATION_TIMEFRAMES.KIFLEKETEMA_RESPONSE,
+    next: COMPLAINT_STAGES.KIFLEKETEMA_SECOND,
+  },
+  [COMPLAINT_STAGES.KIFLEKETEMA_SECOND]: {
+    handler: COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION,
+    round: "second",
+    dueDateField: "kifleketemaSecondResponseDue",
+    workingDays: ESCALATION_TIMEFRAMES.KIFLEKETEMA_RESPONSE,
+    criticalWorkingDays: CRITICAL_ESCALATION_TIMEFRAMES.KIFLEKETEMA_RESPONSE,
+    next: COMPLAINT_STAGES.KENTIBA,
+  },
+  [COMPLAINT_STAGES.KENTIBA]: {
+    handler: COMPLAINT_HANDLERS.KENTIBA_BIRO,
+    round: "final",
+    dueDateField: null,
+    workingDays: null,
+    criticalWorkingDays: null,
+    next: null,
+  },
+}
+
+// The user role that acts as each complaint handler
+const HANDLER_ROLES = {
+  [COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE]: USER_ROLES.STAKEHOLDER_OFFICE,
+  [COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION]: USER_ROLES.WEREDA_ANTI_CORRUPTION,
+  [COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION]: USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION,
+  [COMPLAINT_HANDLERS.KENTIBA_BIRO]: USER_ROLES.KENTIBA_BIRO,
+}
+
+const getStageDefinition = (stage) => STAGE_DEFINITIONS[stage] || null
+
+// Calculate when a handler must respond to a complaint of the given priority that enters the given
+// stage, counting only working time on the working calendar
+const computeDueDate = async (stage, from = new Date(), priority = COMPLAINT_PRIORITIES.MEDIUM) => {
+  const definition = getStageDefinition(stage)
+
+  if (!definition || !definition.workingDays) {
+    return null
+  }
+
+  return addWorkingDays(
+    from,
+    priority === COMPLAINT_PRIORITIES.CRITICAL ? definition.criticalWorkingDays : definition.workingDays,
+  )
+}
+
+const getCurrentDueDate = (complaint) => {
+  const definition = getStageDefinition(complaint.currentStage)
+  return definition && definition.dueDateField ? complaint[definition.dueDateField] : null
+}
+
+const isOverdue = (complaint, now = new Date()) => {
+  const dueDate = getCurrentDueDate(complaint)
+  return Boolean(dueDate) && now > dueDate
+}
+
+// Whether the user is the citizen who submitted the complaint, or the anonymous
+// reporter holding the complaint's tracking credentials
+const isComplaintOwner = (complaint, user) => {
+  if (user.role === ANONYMOUS_REPORTER_ROLE) {
+    return complaint.isAnonymous && Boolean(user.complaint) && complaint._id.toString() === user.complaint
+  }
+
+  const ownerId = complaint.user && (complaint.user._id || complaint.user)
+  return user.role === USER_ROLES.CITIZEN && Boolean(ownerId) && ownerId.toString() === user.id
+}
+
+// A handler has answered at the current stage once the status has moved to in_progress,
+// because every stage transition puts the complaint back to pending
+const hasResponseAtCurrentStage = (complaint) =>
+  complaint.status === COMPLAINT_STATUS.IN_PROGRESS && complaint.responses && complaint.responses.length > 0
+
+// Resolved and closed complaints accept no further actions
+const isClosed = (complaint) => FINAL_COMPLAINT_STATUSES.includes(complaint.status)
+
+const isAwaitingCitizen = (complaint) => complaint.status === COMPLAINT_STATUS.AWAITING_CITIZEN
+
+const allow = () => ({ allowed: true, reason: null })
+const deny = (reason) => ({ allowed: false, reason })
+
+// The office account handling the complaint at its current level: the stakeholder office it is
+// directed to, or the anti-corruption office of its area that autoAssign recorded
+const getHandlerOfficeId = (complaint) => {
+  const officeId =
+    complaint.currentHandler === COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE
+      ? complaint.stakeholderOffice
+      : complaint.handlerOffice
+
+  return officeId ? (officeId._id || officeId).toString() : null
+}
+
+// Reason the user's office is not the complaint's current handler, or null if it is
+const handlerOfficeDenial = (complaint, user) => {
+  if (HANDLER_ROLES[complaint.currentHandler] !== user.role) {
+    return "Only the current handler can act on this complaint"
+  }
+
+  if (getHandlerOfficeId(complaint) !== getOfficeId(user)) {
+    return complaint.currentHandler === COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE
+      ? "Complaint is directed to a different stakeholder office"
+      : "Complaint is handled by the office of a different area"
+  }
+
+  return null
+}
+
+// Reason the user cannot act as the complaint's current handler, or null if they can.
+// Once a complaint is assigned only the assignee and the office's supervisors can act on it.
+const currentHandlerDenial = (complaint, user) => {
+  const officeDenial = handlerOfficeDenial(complaint, user)
+
+  if (officeDenial) {
+    return officeDenial
+  }
+
+  const assigneeId = complaint.assignee && (complaint.assignee._id || complaint.assignee)
+
+  if (assigneeId && assigneeId.toString() !== user.id && !isSupervisor(user)) {
+    return "Complaint is assigned to another officer"
+  }
+
+  return null
+}
+
+// Guards for each action a user can take on a complaint. Each guard returns
+// { allowed, reason } so callers can explain why an action is unavailable.
+const GUARDS = {
+  respond: (complaint, user) => {
+    if (isClosed(complaint)) {
+      return deny(`Complaint is already ${complaint.status}`)
+    }
+
+    const handlerDenial = currentHandlerDenial(complaint, user)
+
+    if (handlerDenial) {
+      return deny(handlerDenial)
+    }
+
+    if (isAwaitingCitizen(complaint)) {
+      return deny("Waiting for the citizen to provide the requested information")
+    }
+
+    return allow()
+  },
+
+  requestInformation: (complaint, user) => {
+    if (isClosed(complaint)) {
+      return deny(`Complaint is already ${complaint.status}`)
+    }
+
+    const handlerDenial = currentHandlerDenial(complaint, user)
+
+    if (handlerDenial) {
+      return deny(handlerDenial)
+    }
+
+    if (isAwaitingCitizen(complaint)) {
+      return deny("An information request is already open")
+    }
+
+    return allow()
+  },
+
+  provideInformation: (complaint, user) => {
+    if (!isComplaintOwner(complaint, user)) {
+      return deny("Only the citizen who submitted the complaint can provide information")
+    }
+
+    if (!isAwaitingCitizen(complaint)) {
+      return deny("No information has been requested")
+    }
+
+    return allow()
+  },
+
+  escalate: (complaint, user, now) => {
+    const definition = getStageDefinition(complaint.currentStage)
+
+    if (!isComplaintOwner(complaint, user)) {
+      return deny("Only the citizen who submitted the complaint can escalate it")
+    }
+
+    if (isClosed(complaint)) {
+      return deny(`Cannot escalate a ${complaint.status} complaint`)
+    }
+
+    if (isAwaitingCitizen(complaint)) {
+      return deny("Complaint is paused until the requested information is provided")
+    }
+
+    if (!definition || !definition.next) {
+      return deny("Complaint is already at the final stage")
+    }
+
+    if (definition.round === "first") {
+      // At a first round the citizen escalates only when the handler stayed silent;
+      // a response is answered with a second stage submission instead
+      if (hasResponseAtCurrentStage(complaint)) {
+        return deny("The handler has responded. Accept the response or submit a second stage complaint.")
+      }
+
+      if (!isOverdue(complaint, now)) {
+        return deny("Cannot escalate before the response due date has passed")
+      }
+
+      return allow()
+    }
+
+    if (!isOverdue(complaint, now) && !hasResponseAtCurrentStage(complaint)) {
+      return deny(
+        "Cannot escalate at this time. Please wait for the response due date or a response from the current handler.",
+      )
+    }
+
+    return allow()
+  },
+
+  accept: (complaint, user) => {
+    if (!isComplaintOwner(complaint, user)) {
+      return deny("Only the citizen who submitted the complaint can accept a response")
+    }
+
+    if (isClosed(complaint)) {
+      return deny(`Complaint is already ${complaint.status}`)
+    }
+
+    if (!complaint.responses || complaint.responses.length === 0) {
+      return deny("Cannot accept a complaint with no responses")
+    }
+
+    return allow()
+  },
+
+  withdraw: (complaint, user) => {
+    if (!isComplaintOwner(complaint, user)) {
+      return deny("Only the citizen who submitted the complaint can withdraw it")
+    }
+
+    if (isClosed(complaint)) {
+      return deny(`Complaint is already ${complaint.status}`)
+    }
+
+    return allow()
+  },
+
+  reopen: (complaint, user, now) => {
+    if (!isComplaintOwner(complaint, user)) {
+      return deny("Only the citizen who submitted the complaint can reopen it")
+    }
+
+    if (complaint.status !== COMPLAINT_STATUS.RESOLVED) {
+      return deny("Only resolved complaints can be reopened")
+    }
+
+    if (complaint.isDuplicate) {
+      return deny("Duplicates follow their master complaint and cannot be reopened on their own")
+    }
+
+    const resolvedAt = complaint.resolution && complaint.resolution.resolvedAt
+
+    if (!resolvedAt || now - resolvedAt > REOPEN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return deny(`Complaints can only be reopened within ${REOPEN_WINDOW_DAYS} days of resolution`)
+    }
+
+    return allow()
+  },
+
+  rejectResponse: (complaint, user) => {
+    const definition = getStageDefinition(complaint.currentStage)
+
+    if (!isComplaintOwner(complaint, user)) {
+      return deny("Only the citizen who submitted the complaint can reject a response")
+    }
+
+    if (isClosed(complaint)) {
+      return deny(`Complaint is already ${complaint.status}`)
+    }
+
+    if (!hasResponseAtCurrentStage(complaint)) {
+      return deny("There is no response from the current handler to reject")
+    }
+
+    if (!definition || !definition.next) {
+      return deny("Complaint is already at the final stage")
+    }
+
+    return allow()
+  },
+
+  markDuplicate: (complaint, user) => {
+    if (isClosed(complaint)) {
+      return deny(`Complaint is already ${complaint.status}`)
+    }
+
+    if (complaint.isDuplicate) {
+      return deny("Complaint is already marked as a duplicate")
+    }
+
+    if (complaint.caseGroup) {
+      return deny("Remove the complaint from its case group first")
+    }
+
+    const handlerDenial = currentHandlerDenial(complaint, user)
+
+    return handlerDenial ? deny(handlerDenial) : allow()
+  },
+
+  unmarkDuplicate: (complaint, user) => {
+    if (!complaint.isDuplicate) {
+      return deny("Complaint is not marked as a duplicate")
+    }
+
+    const handlerDenial = currentHandlerDenial(complaint, user)
+
+    return handlerDenial ? deny(handlerDenial) : allow()
+  },
+
+  // Reroute a misdirected complaint to another stakeholder office. The receiving office can do
+  // this while it handles the complaint; wereda officers can for complaints up to their level.
+  transfer: (complaint, user) => {
+    if (isClosed(complaint)) {
+      return deny(`Complaint is already ${complaint.status}`)
+    }
+
+    if (complaint.isDuplicate) {
+      return deny("Duplicates follow their master complaint and cannot be transferred")
+    }
+
+    if (complaint.caseGroup) {
+      return deny("Remove the complaint from its case group first")
+    }
+
+    if (isAwaitingCitizen(complaint)) {
+      return deny("Waiting for the citizen to provide the requested information")
+    }
+
+    if (user.role === USER_ROLES.WEREDA_ANTI_CORRUPTION) {
+      const transferableHandlers = [COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE, COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION]
+
+      return transferableHandlers.includes(complaint.currentHandler)
+        ? allow()
+        : deny("Complaint has already moved beyond the wereda level")
+    }
+
+    if (complaint.currentHandler !== COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE) {
+      return deny("Only the current stakeholder office or a wereda officer can transfer this complaint")
+    }
+
+    const handlerDenial = currentHandlerDenial(complaint, user)
+
+    return handlerDenial ? deny(handlerDenial) : allow()
+  },
+
+  assign: (complaint, user) => {
+    if (isClosed(complaint)) {
+      return deny(`Complaint is already ${complaint.status}`)
+    }
+
+    const officeDenial = handlerOfficeDenial(complaint, user)
+
+    if (officeDenial) {
+      return deny(officeDenial)
+    }
+
+    if (!isSupervisor(user)) {
+      return deny("Only a supervisor can assign complaints")
+    }
+
+    return allow()
+  },
+
+  // A handler refers the complaint to the next handler level
+  forward: (complaint, user) => {
+    if (isClosed(complaint)) {
+      return deny(`Complaint is already ${complaint.status}`)
+    }
+
+    const handlerDenial = currentHandlerDenial(complaint, user)
+
+    if (handlerDenial) {
+      return deny(handlerDenial)
+    }
+
+    const definition = getStageDefinition(complaint.currentStage)
+
+    if (!definition || !definition.next) {
+      return deny("Complaint is already at the final stage")
+    }
+
+    if (isAwaitingCitizen(complaint)) {
+      return deny("Waiting for the citizen to provide the requested information")
+    }
+
+    return allow()
+  },
+
+  // The handler working on a complaint can raise or lower its priority; Kentiba Biro can for any open complaint
+  setPriority: (complaint, user) => {
+    if (isClosed(complaint)) {
+      return deny(`Complaint is already ${complaint.status}`)
+    }
+
+    if (user.role === USER_ROLES.KENTIBA_BIRO) {
+      return allow()
+    }
+
+    const handlerDenial = currentHandlerDenial(complaint, user)
+
+    return handlerDenial ? deny(handlerDenial) : allow()
+  },
+
+  // Kentiba Biro orders a lower office to take a corrective action, also after resolving the complaint
+  issueDirective: (complaint, user) => {
+    if (complaint.currentStage !== COMPLAINT_STAGES.KENTIBA) {
+      return deny("Directives can only be issued once the complaint has reached Kentiba Biro")
+    }
+
+    if ([COMPLAINT_STATUS.CLOSED, COMPLAINT_STATUS.WITHDRAWN].includes(complaint.status)) {
+      return deny(`Complaint is already ${complaint.status}`)
+    }
+
+    const handlerDenial = currentHandlerDenial(complaint, user)
+
+    return handlerDenial ? deny(handlerDenial) : allow()
+  },
+
+  secondStageSubmit: (complaint, user) => {
+    const definition = getStageDefinition(complaint.currentStage)
+
+    if (user.role !== USER_ROLES.CITIZEN || !isComplaintOwner(complaint, user)) {
+      return deny("Only the citizen who submitted the complaint can submit a second stage complaint")
+    }
+
+    if (!definition || definition.round !== "first") {
+      return deny("Second stage submissions are only possible at a first round stage")
+    }
+
+    if (!hasResponseAtCurrentStage(complaint)) {
+      return deny("The complaint must have a response from the current handler")
+    }
+
+    return allow()
+  },
+}
+
+const canPerform = (action, complaint, user, now = new Date()) => {
+  const guard = GUARDS[action]
+
+  if (!guard) {
+    return deny("Unknown action")
+  }
+
+  return guard(complaint, user, now)
+}
+
+// Describe every action and whether the given user may perform it right now
+const getAvailableTransitions = (complaint, user, now = new Date()) => {
+  const transitions = {}
+
+  Object.keys(GUARDS).forEach((action) => {
+    transitions[action] = canPerform(action, complaint, user, now)
+  })
+
+  return transitions
+}
+
+// Move a complaint to the stage after its current one. Updates stage, handler, status,
+// due date and escalation history in place and returns a description of the transition.
+const advanceStage = async (complaint, reason, now = new Date()) => {
+  const fromDefinition = getStageDefinition(complaint.currentStage)
+
+  if (!fromDefinition || !fromDefinition.next) {
+    return null
+  }
+
+  return moveToStage(complaint, fromDefinition.next, reason, now)
+}
+
+// Move a complaint straight to the first stage of the next handler level, skipping any
+// remaining round of the current handler. Used when a handler refers a complaint upwards.
+const forwardToNextHandler = async (complaint, reason, now = new Date()) => {
+  const fromDefinition = getStageDefinition(complaint.currentStage)
+
+  if (!fromDefinition || !fromDefinition.next) {
+    return null
+  }
+
+  let toStage = fromDefinition.next
+
+  while (getStageDefinition(toStage).handler === fromDefinition.handler && getStageDefinition(toStage).next) {
+    toStage = getStageDefinition(toStage).next
+  }
+
+  return moveToStage(complaint, toStage, reason, now)
+}
+
+const moveToStage = async (complaint, toStage, reason, now) => {
+  const fromStage = complaint.currentStage
+  const fromDefinition = getStageDefinition(fromStage)
+  const toDefinition = getStageDefinition(toStage)
+
+  complaint.currentStage = toStage
+  complaint.currentHandler = toDefinition.handler
+  complaint.status = COMPLAINT_STATUS.PENDING
+  complaint.updatedAt = now
+
+  if (toDefinition.dueDateField) {
+    complaint[toDefinition.dueDateField] = await computeDueDate(toStage, now, complaint.priority)
+  }
+
+  complaint.escalationHistory.push({
+    from: fromDefinition.handler,
+    to: toDefinition.handler,
+    fromStage,
+    toStage,
+    reason,
+    date: now,
+  })
+
+  const changesHandler = fromDefinition.handler !== toDefinition.handler
+
+  // A new level means a new owner
+  if (changesHandler) {
+    await autoAssign(complaint, now)
+  }
+
+  return {
+    fromStage,
+    toStage,
+    fromHandler: fromDefinition.handler,
+    toHandler: toDefinition.handler,
+    changesHandler,
+    assignee: complaint.assignee,
+  }
+}
+
+// Return a resolved complaint to the handler that resolved it, at the same stage and with a
+// fresh deadline. The old resolution is kept in reopenHistory.
+const reopenComplaint = async (complaint, reason, now = new Date()) => {
+  const { resolvedBy, resolverRole, resolution, resolvedAt } = complaint.resolution
+
+  complaint.reopenHistory.push({
+    reason,
+    previousResolution: { resolvedBy, resolverRole, resolution, resolvedAt },
+    reopenedAt: now,
+  })
+
+  // The next resolution gets its own rating and follow-up survey
+  complaint.resolution = undefined
+  complaint.satisfaction = undefined
+  complaint.status = COMPLAINT_STATUS.PENDING
+  complaint.updatedAt = now
+
+  const definition = getStageDefinition(complaint.currentStage)
+
+  if (definition && definition.dueDateField) {
+    complaint[definition.dueDateField] = await computeDueDate(complaint.currentStage, now, complaint.priority)
+  }
+}
+
+// Send a complaint back to the first stage at a different stakeholder office, with a fresh
+// deadline and a new assignee. Returns the office and stage the complaint left.
+const transferToOffice = async (complaint, toOfficeId, user, reason, now = new Date()) => {
+  const fromOffice = complaint.stakeholderOffice._id || complaint.stakeholderOffice
+  const fromStage = complaint.currentStage
+  const firstStage = COMPLAINT_STAGES.STAKEHOLDER_FIRST
+
+  complaint.transferHistory.push({
+    fromOffice,
+    toOffice: toOfficeId,
+    fromStage,
+    transferredBy: user.id,
+    transferredByRole: user.role,
+    reason,
+    date: now,
+  })
+
+  complaint.stakeholderOffice = toOfficeId
+  complaint.currentStage = firstStage
+  complaint.currentHandler = getStageDefinition(firstStage).handler
+  complaint.status = COMPLAINT_STATUS.PENDING
+  complaint.updatedAt = now
+
+  // Deadlines of later stages belonged to the old route
+  Object.values(STAGE_DEFINITIONS).forEach(({ dueDateField }) => {
+    if (dueDateField) {
+      complaint[dueDateField] = undefined
+    }
+  })
+  complaint[getStageDefinition(firstStage).dueDateField] = await computeDueDate(firstStage, now, complaint.priority)
+
+  await autoAssign(complaint, now)
+
+  return { fromOffice, fromStage }
+}
+
+// Record the current handler office of a complaint and assign it to one of the office's officers using
+// the office's assignment strategy. Complaints stay unassigned, and so open to the whole office, when
+// it has no officers.
+const autoAssign = async (complaint, now = new Date()) => {
+  const officeId = await findHandlerOffice(complaint, complaint.currentHandler)
+  const officer = officeId ? await pickOfficer(officeId, now) : null
+
+  complaint.handlerOffice = officeId || undefined
+  complaint.assignee = officer ? officer._id : undefined
+  complaint.assignedAt = officer ? now : undefined
+  complaint.assignedBy = undefined
+
+  if (officer) {
+    await notifyUser(
+      officer._id,
+      complaint,
+      COMPLAINT_EVENT_TYPES.ASSIGNED,
+      `Complaint "${complaint.title}" has been assigned to you`,
+    )
+  }
+
+  return officer
+}
+
+const getOpenInformationRequest = (complaint) =>
+  (complaint.informationRequests || []).find((request) => !request.answeredAt && !request.closedAt) || null
+
+// Pause the stage deadline while the citizen is asked for more information. The working time
+// left on the deadline is kept so the clock can resume where it stopped.
+const pauseForInformation = async (complaint, user, question, now = new Date()) => {
+  const definition = getStageDefinition(complaint.currentStage)
+  const dueDate = getCurrentDueDate(complaint)
+  const remainingMinutes = dueDate ? Math.max(await workingMinutesBetween(now, dueDate), 0) : null
+
+  complaint.informationRequests.push({
+    requestedBy: user.id,
+    requesterRole: complaint.currentHandler,
+    stage: complaint.currentStage,
+    question,
+    requestedAt: now,
+    previousStatus: complaint.status,
+    remainingMinutes,
+    replyDueAt: await addWorkingDays(now, INFORMATION_REQUEST_REPLY_DAYS),
+  })
+
+  if (definition && definition.dueDateField) {
+    complaint[definition.dueDateField] = undefined
+  }
+
+  complaint.status = COMPLAINT_STATUS.AWAITING_CITIZEN
+  complaint.updatedAt = now
+
+  return getOpenInformationRequest(complaint)
+}
+
+// Record the citizen's answer and restart the stage deadline with the time that was left
+const resumeAfterInformation = async (complaint, reply, attachments = [], now = new Date()) => {
+  const request = getOpenInformationRequest(complaint)
+  const definition = getStageDefinition(complaint.currentStage)
+
+  if (!request) {
+    return null
+  }
+
+  request.reply = reply
+  request.attachments = attachments
+  request.answeredAt = now
+
+  if (definition && definition.dueDateField && request.remainingMinutes !== null) {
+    complaint[definition.dueDateField] = await addWorkingMinutes(now, request.remainingMinutes)
+  }
+
+  complaint.status = request.previousStatus || COMPLAINT_STATUS.PENDING
+  complaint.updatedAt = now
+
+  return request
+}
+
+// Close a complaint whose information request went unanswered
+const closeUnansweredRequest = (complaint, now = new Date()) => {
+  const request = getOpenInformationRequest(complaint)
+
+  if (request) {
+    request.closedAt = now
+  }
+
+  complaint.status = COMPLAINT_STATUS.CLOSED
+  complaint.updatedAt = now
+
+  return request
+}
+
+// Find the office account that was responsible for a complaint under the given handler
+const findHandlerOffice = async (complaint, handler) => {
+  if (handler === COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE) {
+    return complaint.stakeholderOffice ? complaint.stakeholderOffice._id || complaint.stakeholderOffice : null
+  }
+
+  // Office accounts only, not the officers working for them
+  const query = { role: HANDLER_ROLES[handler], office: null }
+
+  if (handler === COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION && complaint.kifleketema && complaint.wereda) {
+    query.kifleketema = complaint.kifleketema
+    query.wereda = complaint.wereda
+  } else if (handler === COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION && complaint.kifleketema) {
+    query.kifleketema = complaint.kifleketema
+  }
+
+  let officer = await User.findOne(query)
+
+  // Fall back to any officer of that level when none is registered for the location
+  if (!officer) {
+    officer = await User.findOne({ role: HANDLER_ROLES[handler], office: null })
+  }
+
+  return officer ? officer._id : null
+}
+
+// Record the handler office of open complaints that reached an anti-corruption level before complaints
+// kept it. Safe to run repeatedly; returns the number updated.
+const migrateHandlerOffices = async () => {
+  const Complaint = mongoose.model("Complaint")
+  const cursor = Complaint.find({
+    currentHandler: { $ne: COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE },
+    handlerOffice: null,
+    status: { $nin: FINAL_COMPLAINT_STATUSES },
+  })
+    .select("currentHandler kifleketema wereda")
+    .cursor()
+  let migrated = 0
+
+  for await (const complaint of cursor) {
+    const officeId = await findHandlerOffice(complaint, complaint.currentHandler)
+
+    if (officeId) {
+      await Complaint.updateOne({ _id: complaint._id }, { $set: { handlerOffice: officeId } })
+      migrated += 1
+    }
+  }
+
+  return migrated
+}
+
+// Remove the escalation failures an office was charged with for a complaint it should never have
+// received. Used when the complaint turns out to be misdirected and is transferred.
+const clearEscalationFailures = async (complaint, officeId, officeRole, now = new Date()) => {
+  const officePerformance = await OfficePerformance.findOne({ office: officeId, officeRole })
+
+  if (!officePerformance) {
+    return
+  }
+
+  const records = officePerformance.failureRecords.filter(
+    (record) => record.complaint && record.complaint.toString() === complaint._id.toString(),
+  )
+
+  if (records.length === 0) {
+    return
+  }
+
+  officePerformance.failureRecords.pull(...records.map((record) => record._id))
+  officePerformance.escalatedComplaints = Math.max(officePerformance.escalatedComplaints - records.length, 0)
+  officePerformance.updatedAt = now
+  await officePerformance.save()
+}
+
+// Record an escalation that moved a complaint away from a handler as a failure of that office
+const recordEscalationFailure = async (complaint, transition, reason, now = new Date()) => {
+  if (!transition || !transition.changesHandler) {
+    return
+  }
+
+  const officeId = await findHandlerOffice(complaint, transition.fromHandler)
+
+  if (!officeId) {
+    return
+  }
+
+  let officePerformance = await OfficePerformance.findOne({
+    office: officeId,
+    officeRole: transition.fromHandler,
+  })
+
+  if (!officePerformance) {
+    officePerformance = new OfficePerformance({
+      office: officeId,
+      officeRole: transition.fromHandler,
+    })
+  }
+
+  // A case group escalating away from a handler is one failure, however many complaints it holds
+  const groupAlreadyCounted =
+    Boolean(complaint.caseGroup) &&
+    officePerformance.failureRecords.some(
+      (record) =>
+        record.caseGroup &&
+        record.caseGroup.toString() === complaint.caseGroup.toString() &&
+        getStageDefinition(record.escalatedFrom).handler === transition.fromHandler,
+    )
+
+  if (!groupAlreadyCounted) {
+    officePerformance.escalatedComplaints += 1
+  }
+
+  officePerformance.failureRecords.push({
+    complaint: complaint._id,
+    escalatedFrom: transition.fromStage,
+    escalatedTo: transition.toStage,
+    caseGroup: complaint.caseGroup,
+    reason,
+    date: now,
+  })
+
+  officePerformance.updatedAt = now
+  await officePerformance.save()
+}
+
+// Count a rejected response against the office that gave it
+const recordResponseRejection = async (complaint, response, now = new Date()) => {
+  if (!response.responder || !HANDLER_ROLES[response.responderRole]) {
+    return
+  }
+
+  const officeId = response.responderOffice || response.responder
+
+  let officePerformance = await OfficePerformance.findOne({
+    office: officeId,
+    officeRole: response.responderRole,
+  })
+
+  if (!officePerformance) {
+    officePerformance = new OfficePerformance({
+      office: officeId,
+      officeRole: response.responderRole,
+    })
+  }
+
+  officePerformance.rejectedResponses += 1
+  officePerformance.rejectionRecords.push({
+    complaint: complaint._id,
+    response: response._id,
+    category: response.rejection.category,
+    reason: response.rejection.reason,
+    date: now,
+  })
+
+  officePerformance.updatedAt = now
+  await officePerformance.save()
+}
+
+// Take back the resolution credit an office received when a complaint was accepted, because the
+// citizen reopened it. Call before the resolution is cleared.
+const reverseResolutionCredit = async (complaint, now = new Date()) => {
+  const { resolverOffice, resolvedBy, resolverRole, resolvedAt, credited } = complaint.resolution
+  const officeId = resolverOffice || resolvedBy
+
+  if (!credited || !officeId || !HANDLER_ROLES[resolverRole]) {
+    return
+  }
+
+  const officePerformance = await OfficePerformance.findOne({ office: officeId, officeRole: resolverRole })
+
+  if (!officePerformance || officePerformance.resolvedComplaints === 0) {
+    return
+  }
+
+  // Remove this complaint's resolution time from the running average
+  const resolutionTime = (new Date(resolvedAt) - new Date(complaint.submittedAt)) / (1000 * 60 * 60 * 24) // in days
+  const remaining = officePerformance.resolvedComplaints - 1
+
+  officePerformance.averageResolutionTime =
+    remaining === 0
+      ? 0
+      : Math.max(
+          (officePerformance.averageResolutionTime * officePerformance.resolvedComplaints - resolutionTime) / remaining,
+          0,
+        )
+  officePerformance.resolvedComplaints = remaining
+  officePerformance.reopenedComplaints += 1
+  officePerformance.updatedAt = now
+  await officePerformance.save()
+}
+
+// Query matching unresolved complaints whose current stage deadline has passed
+const overdueComplaintsQuery = (now = new Date()) => ({
+  status: { $nin: [...FINAL_COMPLAINT_STATUSES, COMPLAINT_STATUS.AWAITING_CITIZEN] },
+  // Duplicates follow their master case instead of escalating on their own
+  isDuplicate: { $ne: true },
+  ...dueDateRangeQuery(null, now),
+})
+
+const stagesWithDeadlines = () =>
+  Object.keys(STAGE_DEFINITIONS).filter((stage) => STAGE_DEFINITIONS[stage].dueDateField)
+
+// Query matching complaints whose current stage deadline is at or after `from` and before `to`.
+// Either bound can be null.
+const dueDateRangeQuery = (from, to) => {
+  const range = {}
+
+  if (from) {
+    range.$gte = from
+  }
+
+  if (to) {
+    range.$lt = to
+  }
+
+  return {
+    $or: stagesWithDeadlines().map((stage) => ({
+      currentStage: stage,
+      [STAGE_DEFINITIONS[stage].dueDateField]: range,
+    })),
+  }
+}
+
+// Aggregation expression for the deadline of a complaint's current stage (null at the final stage)
+const currentDueDateExpression = () => ({
+  $switch: {
+    branches: stagesWithDeadlines().map((stage) => ({
+      case: { $eq: ["$currentStage", stage] },
+      then: `$${STAGE_DEFINITIONS[stage].dueDateField}`,
+    })),
+    default: null,
+  },
+})
+
+// Query matching paused complaints whose citizen did not answer in time
+const expiredInformationRequestsQuery = (now = new Date()) => ({
+  status: COMPLAINT_STATUS.AWAITING_CITIZEN,
+  informationRequests: {
+    $elemMatch: { answeredAt: null, closedAt: null, replyDueAt: { $lt: now } },
+  },
+})
+
+module.exports = {
+  STAGE_DEFINITIONS,
+  HANDLER_ROLES,
+  getStageDefinition,
+  computeDueDate,
+  getCurrentDueDate,
+  isOverdue,
+  isComplaintOwner,
+  isClosed,
+  getHandlerOfficeId,
+  canPerform,
+  getAvailableTransitions,
+  advanceStage,
+  forwardToNextHandler,
+  autoAssign,
+  transferToOffice,
+  reopenComplaint,
+  getOpenInformationRequest,
+  pauseForInformation,
+  resumeAfterInformation,
+  closeUnansweredRequest,
+  findHandlerOffice,
+  migrateHandlerOffices,
+  clearEscalationFailures,
+  recordEscalationFailure,
+  recordResponseRejection,
+  reverseResolutionCredit,
+  overdueComplaintsQuery,
+  dueDateRangeQuery,
+  currentDueDateExpression,
+  expiredInformationRequestsQuery,
+}
+
@@ -0,0 +1,110 @@
+const OfficePerformance = require("../models/OfficePerformance")
+const { USER_ROLES, DIRECTIVE_STATUS } = require("../config/constants")
+const { getOfficeId } = require("./assignment")
+
+// Levels of the offices Kentiba Biro can direct
+const DIRECTIVE_TARGET_ROLES = [
+  USER_ROLES.STAKEHOLDER_OFFICE,
+  USER_ROLES.WEREDA_ANTI_CORRUPTION,
+  USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION,
+]
+
+const allow = () => ({ allowed: true, reason: null })
+const deny = (reason) => ({ allowed: false, reason })
+
+// Whether the user works for the office a directive was issued to. Works with a populated targetOffice.
+const isDirectiveTarget = (directive, user) =>
+  user.role === directive.targetRole &&
+  (directive.targetOffice._id || directive.targetOffice).toString() === getOfficeId(user)
+
+// Whether the user is the target of any of a complaint's directives
+const hasDirectiveFor = (complaint, user) =>
+  (complaint.directives || []).some((directive) => isDirectiveTarget(directive, user))
+
+// Guards for what the target office does with a directive, in the { allowed, reason } form of canPerform
+const DIRECTIVE_GUARDS = {
+  acknowledge: (directive, user) => {
+    if (!isDirectiveTarget(directive, user)) {
+      return deny("Only the office the directive was issued to can acknowledge it")
+    }
+
+    return directive.status === DIRECTIVE_STATUS.ISSUED ? allow() : deny("Directive is already acknowledged")
+  },
+
+  complete: (directive, user) => {
+    if (!isDirectiveTarget(directive, user)) {
+      return deny("Only the office the directive was issued to can report its completion")
+    }
+
+    if (directive.status === DIRECTIVE_STATUS.ISSUED) {
+      return deny("Acknowledge the directive before reporting its completion")
+    }
+
+    return directive.status === DIRECTIVE_STATUS.ACKNOWLEDGED ? allow() : deny("Directive is already completed")
+  },
+}
+
+const canActOnDirective = (action, directive, user) => DIRECTIVE_GUARDS[action](directive, user)
+
+// Query matching complaints with a directive past its deadline that has not been flagged yet
+const overdueDirectivesQuery = (now = new Date()) => ({
+  directives: {
+    $elemMatch: {
+      status: { $ne: DIRECTIVE_STATUS.COMPLETED },
+      dueAt: { $lt: now },
+      overdueAt: null,
+    },
+  },
+})
+
+// Flag a complaint's directives that are past their deadline. Returns the newly flagged directives.
+const flagOverdueDirectives = (complaint, now = new Date()) => {
+  const overdue = complaint.directives.filter(
+    (directive) => directive.status !== DIRECTIVE_STATUS.COMPLETED && directive.dueAt < now && !directive.overdueAt,
+  )
+
+  overdue.forEach((directive) => {
+    directive.overdueAt = now
+  })
+
+  return overdue
+}
+
+// Add to the directive counters of the office a directive was issued to, e.g. { directivesReceived: 1 }
+const recordDirectiveCompliance = async (directive, counters, now = new Date()) => {
+  const officeId = directive.targetOffice._id || directive.targetOffice
+
+  let officePerformance = await OfficePerformance.findOne({ office: officeId, officeRole: directive.targetRole })
+
+  if (!officePerformance) {
+    officePerformance = new OfficePerformance({ office: officeId, officeRole: directive.targetRole })
+  }
+
+  Object.entries(counters).forEach(([counter, amount]) => {
+    officePerformance[counter] = (officePerformance[counter] || 0) + amount
+  })
+
+  officePerformance.updatedAt = now
+  await officePerformance.save()
+}
+
+// Share of an office's directives carried out by their deadline, or null when it received none
+const withDirectiveCompliance = (row) => ({
+  ...row,
+  directiveComplianceRate:
+    row.directivesReceived > 0
+      ? Math.round((row.directivesCompletedOnTime / row.directivesReceived) * 100) / 100
+      : null,
+})
+
+module.exports = {
+  DIRECTIVE_TARGET_ROLES,
+  isDirectiveTarget,
+  hasDirectiveFor,
+  canActOnDirective,
+  overdueDirectivesQuery,
+  flagOverdueDirectives,
+  recordDirectiveCompliance,
+  withDirectiveCompliance,
+}
+
@@ -0,0 +1,27 @@
+const Notification = require("../models/Notification")
+
+// Notify a user about something that happened on a complaint
+const notifyUser = async (userId, complaint, type, message) => {
+  const notification = new Notification({
+    user: userId,
+    complaint: complaint ? complaint._id : undefined,
+    type,
+    message,
+  })
+
+  await notification.save()
+  return notification
+}
+
+// Notify the citizen who submitted a complaint. Anonymous reporters have no account to
+// notify; they see the same information in the complaint timeline.
+const notifyComplaintOwner = async (complaint, type, message) => {
+  if (complaint.isAnonymous || !complaint.user) {
+    return null
+  }
+
+  return notifyUser(complaint.user._id || complaint.user, complaint, type, message)
+}
+
+module.exports = { notifyUser, notifyComplaintOwner }
+
@@ -0,0 +1,165 @@
+const mongoose = require("mongoose")
+const Complaint = require("../models/Complaint")
+const ResponseTemplate = require("../models/ResponseTemplate")
+const User = require("../models/User")
+const { USER_ROLES, COMPLAINT_HANDLERS, RESPONSE_OUTCOMES } = require("../config/constants")
+const { getCurrentDueDate } = require("./complaintWorkflow")
+const { toLocalDateKey } = require("./workingCalendar")
+const { getOfficeId, isSupervisor } = require("./assignment")
+
+// Values a template can refer to as {{name}}. Each reads a complaint populated with its user and stakeholder office.
+const PLACEHOLDERS = {
+  citizenFirstName: (complaint) => (complaint.user && complaint.user.firstName) || "Citizen",
+  reference: (complaint) => complaint.reference || complaint._id.toString(),
+  // Local date of the current deadline, e.g. 2026-03-02
+  dueDate: (complaint) => {
+    const dueDate = getCurrentDueDate(complaint)
+    return dueDate ? toLocalDateKey(dueDate) : ""
+  },
+  // The office the complaint is about
+  officeName: (complaint) => (complaint.stakeholderOffice && complaint.stakeholderOffice.officeName) || "",
+}
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g
+
+// Placeholders in a template body that cannot be filled
+const unknownPlaceholders = (body) =>
+  [...String(body).matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name).filter((name) => !PLACEHOLDERS[name])
+
+// Fill a template's placeholders from a complaint
+const renderTemplate = (body, complaint) =>
+  String(body).replace(PLACEHOLDER_PATTERN, (match, name) =>
+    PLACEHOLDERS[name] ? PLACEHOLDERS[name](complaint) : match,
+  )
+
+// The office type of the office a stakeholder user works for
+const getOfficeType = async (user) => {
+  const office = await User.findById(getOfficeId(user)).select("officeType")
+  return office ? office.officeType || null : null
+}
+
+// Query for the templates a handler can respond with: those of their level, and for stakeholder
+// offices those written for their office type or for any office type
+const usableTemplatesQuery = async (user) => {
+  const query = { handlerLevel: user.role, isActive: true }
+
+  if (user.role === USER_ROLES.STAKEHOLDER_OFFICE) {
+    query.officeType = { $in: [null, await getOfficeType(user)] }
+  }
+
+  return query
+}
+
+// Query for the templates a user can create, change and see statistics of, or null when they manage none.
+// Kentiba Biro manages all templates; supervisors those of their own level, and of their office type
+// for stakeholder offices.
+const managedTemplatesQuery = async (user) => {
+  if (user.role === USER_ROLES.KENTIBA_BIRO) {
+    return {}
+  }
+
+  if (!Object.values(COMPLAINT_HANDLERS).includes(user.role) || !isSupervisor(user)) {
+    return null
+  }
+
+  const query = { handlerLevel: user.role }
+
+  if (user.role === USER_ROLES.STAKEHOLDER_OFFICE) {
+    query.officeType = await getOfficeType(user)
+  }
+
+  return query
+}
+
+// Whether a template suits a complaint about an office of the given type
+const suitsOfficeType = (template, officeType) => !template.officeType || template.officeType === officeType
+
+// The template with the given id if the user can respond with it to a complaint about an office
+// of the given type, otherwise null
+const findUsableTemplate = async (id, user, officeType) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null
+  }
+
+  const template = await ResponseTemplate.findOne({ _id: id, ...(await usableTemplatesQuery(user)) })
+  return template && suitsOfficeType(template, officeType) ? template : null
+}
+
+const rateOf = (count, total) => (total > 0 ? Math.round((count / total) * 100) / 100 : null)
+
+const countOutcome = (outcome) => ({ $sum: { $cond: [{ $eq: ["$responses.outcome", outcome] }, 1, 0] } })
+
+// How often each template matching `templateQuery` was used, and how citizens answered those responses.
+// Rates are shares of the responses citizens have answered; responses still waiting are not counted.
+const getTemplateStats = async (templateQuery, { from, to } = {}) => {
+  const templates = await ResponseTemplate.find(templateQuery)
+    .select("title handlerLevel officeType isActive")
+    .sort({ title: 1 })
+    .lean()
+  const ids = templates.map(({ _id }) => _id)
+  const createdAt = {}
+
+  if (from) {
+    createdAt.$gte = from
+  }
+
+  if (to) {
+    createdAt.$lte = to
+  }
+
+  const responseMatch = { "responses.template": { $in: ids } }
+
+  if (from || to) {
+    responseMatch["responses.createdAt"] = createdAt
+  }
+
+  const counts = await Complaint.aggregate([
+    { $match: { "responses.template": { $in: ids } } },
+    { $unwind: "$responses" },
+    { $match: responseMatch },
+    {
+      $group: {
+        _id: "$responses.template",
+        uses: { $sum: 1 },
+        accepted: countOutcome(RESPONSE_OUTCOMES.ACCEPTED),
+        rejected: countOutcome(RESPONSE_OUTCOMES.REJECTED),
+        escalated: countOutcome(RESPONSE_OUTCOMES.ESCALATED),
+        lastUsedAt: { $max: "$responses.createdAt" },
+      },
+    },
+  ])
+
+  const countsByTemplate = counts.reduce((result, count) => ({ ...result, [count._id.toString()]: count }), {})
+
+  return templates
+    .map((template) => {
+      const { uses = 0, accepted = 0, rejected = 0, escalated = 0, lastUsedAt = null } =
+        countsByTemplate[template._id.toString()] || {}
+      const answered = accepted + rejected + escalated
+
+      return {
+        template,
+        uses,
+        accepted,
+        rejected,
+        escalated,
+        awaitingCitizen: uses - answered,
+        acceptanceRate: rateOf(accepted, answered),
+        escalationRate: rateOf(rejected + escalated, answered),
+        lastUsedAt,
+      }
+    })
+    .sort((a, b) => b.uses - a.uses)
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  unknownPlaceholders,
+  renderTemplate,
+  usableTemplatesQuery,
+  managedTemplatesQuery,
+  suitsOfficeType,
+  findUsableTemplate,
+  getTemplateStats,
+}
+
@@ -0,0 +1,84 @@
+const OfficePerformance = require("../models/OfficePerformance")
+const { COMPLAINT_HANDLERS, COMPLAINT_STATUS, SATISFACTION_FOLLOW_UP_DAYS } = require("../config/constants")
+
+// Parse a 1-5 satisfaction rating. Returns undefined when none was given and null when it is invalid.
+const parseRating = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return undefined
+  }
+
+  const rating = Number(value)
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null
+}
+
+// Add a citizen's rating to the office that resolved the complaint. `kind` is "acceptance" for
+// the rating given when accepting a response and "followUp" for the later survey.
+const recordSatisfaction = async (complaint, rating, kind, now = new Date()) => {
+  const { resolverOffice, resolvedBy, resolverRole } = complaint.resolution || {}
+  const officeId = resolverOffice || resolvedBy
+
+  // Kentiba Biro resolutions are not tracked in OfficePerformance
+  if (!officeId || !resolverRole || resolverRole === COMPLAINT_HANDLERS.KENTIBA_BIRO) {
+    return
+  }
+
+  let officePerformance = await OfficePerformance.findOne({ office: officeId, officeRole: resolverRole })
+
+  if (!officePerformance) {
+    officePerformance = new OfficePerformance({ office: officeId, officeRole: resolverRole })
+  }
+
+  if (kind === "followUp") {
+    officePerformance.followUpRatings += 1
+    officePerformance.followUpRatingTotal += rating
+  } else {
+    officePerformance.satisfactionRatings += 1
+    officePerformance.satisfactionRatingTotal += rating
+  }
+
+  officePerformance.updatedAt = now
+  await officePerformance.save()
+}
+
+const averageOf = (total, count) => (count > 0 ? Math.round((total / count) * 100) / 100 : null)
+
+// Replace the raw rating totals of a performance row with averages
+const withSatisfactionAverages = ({ satisfactionRatingTotal, followUpRatingTotal, ...row }) => ({
+  ...row,
+  averageSatisfaction: averageOf(satisfactionRatingTotal, row.satisfactionRatings),
+  averageFollowUpSatisfaction: averageOf(followUpRatingTotal, row.followUpRatings),
+})
+
+// Satisfaction over every office of each handler level, keyed by officeRole
+const getSatisfactionByLevel = async () => {
+  const levels = await OfficePerformance.aggregate([
+    {
+      $group: {
+        _id: "$officeRole",
+        satisfactionRatings: { $sum: "$satisfactionRatings" },
+        satisfactionRatingTotal: { $sum: "$satisfactionRatingTotal" },
+        followUpRatings: { $sum: "$followUpRatings" },
+        followUpRatingTotal: { $sum: "$followUpRatingTotal" },
+      },
+    },
+  ])
+
+  return levels.reduce((result, { _id, ...level }) => ({ ...result, [_id]: withSatisfactionAverages(level) }), {})
+}
+
+// Query matching resolved complaints whose citizen has not yet been sent the follow-up survey
+const followUpDueQuery = (now = new Date()) => ({
+  status: COMPLAINT_STATUS.RESOLVED,
+  isDuplicate: { $ne: true },
+  "resolution.resolvedAt": { $lte: new Date(now.getTime() - SATISFACTION_FOLLOW_UP_DAYS * 24 * 60 * 60 * 1000) },
+  "satisfaction.followUp.sentAt": { $exists: false },
+})
+
+module.exports = {
+  parseRating,
+  recordSatisfaction,
+  withSatisfactionAverages,
+  getSatisfactionByLevel,
+  followUpDueQuery,
+}
+
@@ -1,14 +1,18 @@
 const cron = require("node-cron")
 const Complaint = require("../models/Complaint")
-const OfficePerformance = require("../models/OfficePerformance")
-const User = require("../models/User")
 const {
-  COMPLAINT_STAGES,
-  COMPLAINT_HANDLERS,
-  COMPLAINT_STATUS,
-  ESCALATION_TIMEFRAMES,
-  USER_ROLES,
-} = require("../config/constants")
+  advanceStage,
+  recordEscalationFailure,
+  overdueComplaintsQuery,
+  closeUnansweredRequest,
+  expiredInformationRequestsQuery,
+} = require("./complaintWorkflow")
+const { recordComplaintEvent, recordEscalationEvent } = require("./complaintEvents")
+const { notifyUser, notifyComplaintOwner } = require("./notifications")
+const { settleCaseGroup, leaveCaseGroupOnEscalation } = require("./caseGroups")
+const { followUpDueQuery } = require("./satisfaction")
+const { overdueDirectivesQuery, flagOverdueDirectives, recordDirectiveCompliance } = require("./directives")
+const { COMPLAINT_EVENT_TYPES } = require("../config/constants")
 
 // Schedule a job to run every hour to check for complaints that need escalation
 const scheduleEscalationJobs = () => {
@@ -18,181 +22,138 @@ const scheduleEscalationJobs = () => {
 
       const now = new Date()
 
-      // Find complaints that need escalation based on due dates
-      const complaints = await Complaint.find({
-        status: { $ne: COMPLAINT_STATUS.RESOLVED },
-        $or: [
-          {
-            currentStage: COMPLAINT_STAGES.STAKEHOLDER_FIRST,
-            stakeholderFirstResponseDue: { $lt: now },
-          },
-          {
-            currentStage: COMPLAINT_STAGES.STAKEHOLDER_SECOND,
-            stakeholderSecondResponseDue: { $lt: now },
-          },
-          {
-            currentStage: COMPLAINT_STAGES.WEREDA_FIRST,
-            weredaFirstResponseDue: { $lt: now },
-          },
-          {
-            currentStage: COMPLAINT_STAGES.WEREDA_SECOND,
-            weredaSecondResponseDue: { $lt: now },
-          },
-          {
-            currentStage: COMPLAINT_STAGES.KIFLEKETEMA_FIRST,
-            kifleketemaFirstResponseDue: { $lt: now },
-          },
-          {
-            currentStage: COMPLAINT_STAGES.KIFLEKETEMA_SECOND,
-            kifleketemaSecondResponseDue: { $lt: now },
-          },
-        ],
-      })
+      // Find complaints that need escalation based on due dates, most urgent first so critical
+      // complaints reach the next handler's queue before the rest
+      const complaints = await Complaint.find(overdueComplaintsQuery(now)).sort({ priorityRank: -1 })
 
       console.log(`Found ${complaints.length} complaints to escalate`)
 
       for (const complaint of complaints) {
-        let nextStage = ""
-        let nextHandler = ""
-        let fromStage = ""
-        let toStage = ""
-        let dueDateField = ""
-        let dueDate = null
-
-        // Determine next stage and handler based on current stage
-        switch (complaint.currentStage) {
-          case COMPLAINT_STAGES.STAKEHOLDER_FIRST:
-            nextStage = COMPLAINT_STAGES.STAKEHOLDER_SECOND
-            nextHandler = COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE
-            dueDateField = "stakeholderSecondResponseDue"
-            dueDate = new Date(now.getTime() + ESCALATION_TIMEFRAMES.STAKEHOLDER_RESPONSE)
-            break
-
-          case COMPLAINT_STAGES.STAKEHOLDER_SECOND:
-            nextStage = COMPLAINT_STAGES.WEREDA_FIRST
-            nextHandler = COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
-            fromStage = COMPLAINT_STAGES.STAKEHOLDER_SECOND
-            toStage = COMPLAINT_STAGES.WEREDA_FIRST
-            dueDateField = "weredaFirstResponseDue"
-            dueDate = new Date(now.getTime() + ESCALATION_TIMEFRAMES.WEREDA_RESPONSE)
-            break
-
-          case COMPLAINT_STAGES.WEREDA_FIRST:
-            nextStage = COMPLAINT_STAGES.WEREDA_SECOND
-            nextHandler = COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
-            dueDateField = "weredaSecondResponseDue"
-            dueDate = new Date(now.getTime() + ESCALATION_TIMEFRAMES.WEREDA_RESPONSE)
-            break
-
-          case COMPLAINT_STAGES.WEREDA_SECOND:
-            nextStage = COMPLAINT_STAGES.KIFLEKETEMA_FIRST
-            nextHandler = COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION
-            fromStage = COMPLAINT_STAGES.WEREDA_SECOND
-            toStage = COMPLAINT_STAGES.KIFLEKETEMA_FIRST
-            dueDateField = "kifleketemaFirstResponseDue"
-            dueDate = new Date(now.getTime() + ESCALATION_TIMEFRAMES.KIFLEKETEMA_RESPONSE)
-            break
-
-          case COMPLAINT_STAGES.KIFLEKETEMA_FIRST:
-            nextStage = COMPLAINT_STAGES.KIFLEKETEMA_SECOND
-            nextHandler = COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION
-            dueDateField = "kifleketemaSecondResponseDue"
-            dueDate = new Date(now.getTime() + ESCALATION_TIMEFRAMES.KIFLEKETEMA_RESPONSE)
-            break
-
-          case COMPLAINT_STAGES.KIFLEKETEMA_SECOND:
-            nextStage = COMPLAINT_STAGES.KENTIBA
-            nextHandler = COMPLAINT_HANDLERS.KENTIBA_BIRO
-            fromStage = COMPLAINT_STAGES.KIFLEKETEMA_SECOND
-            toStage = COMPLAINT_STAGES.KENTIBA
-            break
-
-          default:
-            continue // Skip to next complaint if already at final stage
+        const reason = "Automatically escalated due to response deadline passing"
+        const transition = await advanceStage(complaint, reason, now)
+
+        // Skip if already at final stage
+        if (!transition) {
+          continue
         }
 
-        // Update complaint
-        complaint.currentStage = nextStage
-        complaint.currentHandler = nextHandler
-        complaint.status = COMPLAINT_STATUS.PENDING
-        complaint.updatedAt = now
+        // Record failure for the office if the complaint moved to a new handler
+        await recordEscalationFailure(complaint, transition, reason, now)
 
-        // Set new due date if applicable
-        if (dueDateField && dueDate) {
-          complaint[dueDateField] = dueDate
-        }
+        await complaint.save()
+        await recordEscalationEvent(complaint, transition, null, reason, now)
+        await leaveCaseGroupOnEscalation(complaint, transition, null, now)
+        console.log(`Escalated complaint ${complaint._id} from ${transition.fromStage} to ${transition.toStage}`)
+      }
+
+      console.log("Automatic escalation check completed")
+    } catch (err) {
+      console.error("Automatic escalation error:", err)
+    }
+  })
+
+  // Close complaints whose citizen never answered a request for more information
+  cron.schedule("30 * * * *", async () => {
+    try {
+      console.log("Running information request expiry check...")
+
+      const now = new Date()
+      const complaints = await Complaint.find(expiredInformationRequestsQuery(now))
+
+      console.log(`Found ${complaints.length} complaints with unanswered information requests`)
+
+      for (const complaint of complaints) {
+        const request = closeUnansweredRequest(complaint, now)
+        await complaint.save()
+
+        await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.CLOSED, null, {
+          before: { status: "awaiting_citizen" },
+          after: { status: complaint.status },
+          message: "Closed because the requested information was not provided in time",
+          date: now,
+        })
+        await notifyComplaintOwner(
+          complaint,
+          COMPLAINT_EVENT_TYPES.CLOSED,
+          `Your complaint "${complaint.title}" was closed because the requested information ` +
+            `was not provided by ${request.replyDueAt.toDateString()}`,
+        )
+        await settleCaseGroup(complaint.caseGroup, now)
+
+        console.log(`Closed complaint ${complaint._id} after unanswered information request`)
+      }
+
+      console.log("Information request expiry check completed")
+    } catch (err) {
+      console.error("Information request expiry error:", err)
+    }
+  })
+
+  // Flag Kentiba Biro directives whose office let the deadline pass without completing them
+  cron.schedule("15 * * * *", async () => {
+    try {
+      console.log("Running directive deadline check...")
+
+      const now = new Date()
+      const complaints = await Complaint.find(overdueDirectivesQuery(now))
+
+      console.log(`Found ${complaints.length} complaints with overdue directives`)
 
-        // Add to escalation history if moving to a new handler
-        if (fromStage && toStage) {
-          const reason = "Automatically escalated due to response deadline passing"
-
-          complaint.escalationHistory.push({
-            from:
-              complaint.currentHandler === COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
-                ? COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE
-                : COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION,
-            to: nextHandler,
-            reason,
+      for (const complaint of complaints) {
+        const directives = flagOverdueDirectives(complaint, now)
+        await complaint.save()
+
+        for (const directive of directives) {
+          await recordDirectiveCompliance(directive, { directivesOverdue: 1 }, now)
+          await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.DIRECTIVE_OVERDUE, null, {
+            after: { directive: directive._id, dueAt: directive.dueAt },
             date: now,
           })
 
-          // Record failure for the office
-          let officeId
-          let officeRole
-
-          if (fromStage === COMPLAINT_STAGES.STAKEHOLDER_SECOND) {
-            officeId = complaint.stakeholderOffice
-            officeRole = COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE
-          } else if (fromStage === COMPLAINT_STAGES.WEREDA_SECOND) {
-            // Find a Wereda officer
-            const weredaOfficer = await User.findOne({ role: USER_ROLES.WEREDA_ANTI_CORRUPTION })
-            if (weredaOfficer) {
-              officeId = weredaOfficer._id
-              officeRole = COMPLAINT_HANDLERS.WEREDA_ANTI_CORRUPTION
-            }
-          } else if (fromStage === COMPLAINT_STAGES.KIFLEKETEMA_SECOND) {
-            // Find a Kifleketema officer
-            const kifleketemaOfficer = await User.findOne({ role: USER_ROLES.KIFLEKETEMA_ANTI_CORRUPTION })
-            if (kifleketemaOfficer) {
-              officeId = kifleketemaOfficer._id
-              officeRole = COMPLAINT_HANDLERS.KIFLEKETEMA_ANTI_CORRUPTION
-            }
-          }
-
-          if (officeId && officeRole) {
-            let officePerformance = await OfficePerformance.findOne({
-              office: officeId,
-              officeRole,
-            })
-
-            if (!officePerformance) {
-              officePerformance = new OfficePerformance({
-                office: officeId,
-                officeRole,
-              })
-            }
-
-            officePerformance.escalatedComplaints += 1
-            officePerformance.failureRecords.push({
-              complaint: complaint._id,
-              escalatedFrom: fromStage,
-              escalatedTo: toStage,
-              reason,
-              date: now,
-            })
-
-            officePerformance.updatedAt = now
-            await officePerformance.save()
-          }
+          const message =
+            `The directive on complaint ${complaint.reference} was due ${directive.dueAt.toDateString()} ` +
+            "and has not been carried out"
+          await notifyUser(directive.targetOffice, complaint, COMPLAINT_EVENT_TYPES.DIRECTIVE_OVERDUE, message)
+          await notifyUser(directive.issuedBy, complaint, COMPLAINT_EVENT_TYPES.DIRECTIVE_OVERDUE, message)
         }
+      }
 
+      console.log("Directive deadline check completed")
+    } catch (err) {
+      console.error("Directive deadline check error:", err)
+    }
+  })
+
+  // Ask citizens a week after resolution whether the outcome held
+  cron.schedule("45 * * * *", async () => {
+    try {
+      console.log("Running satisfaction follow-up check...")
+
+      const now = new Date()
+      const complaints = await Complaint.find(followUpDueQuery(now))
+
+      console.log(`Found ${complaints.length} resolved complaints due a follow-up survey`)
+
+      for (const complaint of complaints) {
+        complaint.set("satisfaction.followUp.sentAt", now)
         await complaint.save()
-        console.log(`Escalated complaint ${complaint._id} from ${complaint.currentStage} to ${nextStage}`)
+
+        // Anonymous reporters see the survey request in their timeline
+        await recordComplaintEvent(complaint, COMPLAINT_EVENT_TYPES.FOLLOW_UP_REQUESTED, null, {
+          message: "How satisfied are you with the outcome of your complaint a week on?",
+          date: now,
+        })
+        await notifyComplaintOwner(
+          complaint,
+          COMPLAINT_EVENT_TYPES.FOLLOW_UP_REQUESTED,
+          `How satisfied are you with the outcome of your complaint "${complaint.title}" a week on? ` +
+            "Please rate it from 1 to 5.",
+        )
       }
 
-      console.log("Automatic escalation check completed")
+      console.log("Satisfaction follow-up check completed")
     } catch (err) {
-      console.error("Automatic escalation error:", err)
+      console.error("Satisfaction follow-up error:", err)
     }
   })
 }
@@ -0,0 +1,195 @@
+const ComplaintCategory = require("../models/ComplaintCategory")
+const OfficePerformance = require("../models/OfficePerformance")
+const {
+  COMPLAINT_HANDLERS,
+  COMPLAINT_STATUS,
+  COMPLAINT_PRIORITIES,
+  PRIORITY_RANKS,
+  VULNERABLE_GROUPS,
+} = require("../config/constants")
+const { computeDueDate, getStageDefinition, isClosed } = require("./complaintWorkflow")
+
+// Points for a category without a severity weight of its own
+const DEFAULT_CATEGORY_WEIGHT = 10
+
+// Points by the amount of money involved, in Birr, largest first
+const AMOUNT_TIERS = [
+  { min: 1000000, points: 25 },
+  { min: 100000, points: 18 },
+  { min: 10000, points: 10 },
+  { min: 0.01, points: 5 },
+]
+
+// Points for the first vulnerable group affected, for each further one, and at most
+const VULNERABLE_GROUP_POINTS = { first: 15, additional: 5, max: 25 }
+
+// An office's escalation failures and rejected responses in this many days count against it,
+// each for OFFICE_HISTORY_POINTS, up to OFFICE_HISTORY_MAX_POINTS
+const OFFICE_HISTORY_DAYS = 180
+const OFFICE_HISTORY_POINTS = 4
+const OFFICE_HISTORY_MAX_POINTS = 20
+
+// Lowest score of each priority, most urgent first. Scores below all of them are low priority.
+const PRIORITY_THRESHOLDS = [
+  { priority: COMPLAINT_PRIORITIES.CRITICAL, min: 70 },
+  { priority: COMPLAINT_PRIORITIES.HIGH, min: 50 },
+  { priority: COMPLAINT_PRIORITIES.MEDIUM, min: 25 },
+]
+
+const priorityForScore = (score) => {
+  const threshold = PRIORITY_THRESHOLDS.find(({ min }) => score >= min)
+  return threshold ? threshold.priority : COMPLAINT_PRIORITIES.LOW
+}
+
+// Read the severity details a reporter gives with a complaint. Vulnerable groups are accepted as an
+// array or a comma separated string. Returns { error } or { amountInvolved, vulnerableGroups }.
+const parseSeverityInputs = (body) => {
+  let amountInvolved
+
+  if (body.amountInvolved !== undefined && body.amountInvolved !== "") {
+    amountInvolved = Number(body.amountInvolved)
+
+    if (!Number.isFinite(amountInvolved) || amountInvolved < 0) {
+      return { error: "Amount involved must be a non-negative number" }
+    }
+  }
+
+  const groups = body.vulnerableGroups || []
+  const vulnerableGroups = [
+    ...new Set((Array.isArray(groups) ? groups : groups.split(",")).map((group) => group.trim()).filter(Boolean)),
+  ]
+  const invalidGroups = vulnerableGroups.filter((group) => !Object.values(VULNERABLE_GROUPS).includes(group))
+
+  if (invalidGroups.length > 0) {
+    return { error: `Invalid vulnerable groups: ${invalidGroups.join(", ")}` }
+  }
+
+  return { amountInvolved, vulnerableGroups }
+}
+
+// Severity points of a complaint's category. A sub-category's own weight takes precedence.
+const categoryWeight = async (complaint) => {
+  const ids = [complaint.subCategory, complaint.category].filter(Boolean).map((id) => id._id || id)
+  const categories = await ComplaintCategory.find({ _id: { $in: ids } }).select("severityWeight").lean()
+
+  for (const id of ids) {
+    const category = categories.find(({ _id }) => _id.toString() === id.toString())
+
+    if (category && category.severityWeight !== null && category.severityWeight !== undefined) {
+      return category.severityWeight
+    }
+  }
+
+  return DEFAULT_CATEGORY_WEIGHT
+}
+
+// Escalation failures and rejected responses of the complaint's stakeholder office in the recent past
+const officeHistoryCount = async (complaint, now) => {
+  const officeId = complaint.stakeholderOffice && (complaint.stakeholderOffice._id || complaint.stakeholderOffice)
+
+  if (!officeId) {
+    return 0
+  }
+
+  const officePerformance = await OfficePerformance.findOne({
+    office: officeId,
+    officeRole: COMPLAINT_HANDLERS.STAKEHOLDER_OFFICE,
+  })
+    .select("failureRecords.date rejectionRecords.date")
+    .lean()
+
+  if (!officePerformance) {
+    return 0
+  }
+
+  const since = new Date(now.getTime() - OFFICE_HISTORY_DAYS * 24 * 60 * 60 * 1000)
+
+  return [...(officePerformance.failureRecords || []), ...(officePerformance.rejectionRecords || [])].filter(
+    (record) => record.date >= since,
+  ).length
+}
+
+// Put a priority in effect, keeping the rank handler queues are sorted by in step
+const setPriority = (complaint, priority) => {
+  complaint.priority = priority
+  complaint.priorityRank = PRIORITY_RANKS[priority]
+}
+
+// Score a complaint from 0 to 100 by its category, the amount involved, the vulnerable groups affected
+// and the history of the office it is about. Unless a handler has set the priority, the score decides it.
+const assessSeverity = async (complaint, now = new Date()) => {
+  const factors = []
+  let score = 0
+
+  const weight = await categoryWeight(complaint)
+  score += weight
+  factors.push(`category:${weight}`)
+
+  const tier = AMOUNT_TIERS.find(({ min }) => complaint.amountInvolved >= min)
+
+  if (tier) {
+    score += tier.points
+    factors.push(`amount:${tier.points}`)
+  }
+
+  const groups = (complaint.vulnerableGroups || []).length
+
+  if (groups > 0) {
+    const points = Math.min(
+      VULNERABLE_GROUP_POINTS.first + (groups - 1) * VULNERABLE_GROUP_POINTS.additional,
+      VULNERABLE_GROUP_POINTS.max,
+    )
+    score += points
+    factors.push(`vulnerable_groups:${points}`)
+  }
+
+  const history = await officeHistoryCount(complaint, now)
+
+  if (history > 0) {
+    const points = Math.min(history * OFFICE_HISTORY_POINTS, OFFICE_HISTORY_MAX_POINTS)
+    score += points
+    factors.push(`office_history:${points}`)
+  }
+
+  complaint.severity = { score: Math.min(score, 100), factors, scoredAt: now }
+
+  if (!complaint.priorityOverride || !complaint.priorityOverride.level) {
+    setPriority(complaint, priorityForScore(complaint.severity.score))
+  }
+
+  return complaint.severity
+}
+
+// Bring the current deadline of a complaint that has become critical forward to the critical
+// timeframe, counted from now. Deadlines are never pushed back when the priority drops.
+const shortenDeadlineForCritical = async (complaint, now = new Date()) => {
+  const definition = getStageDefinition(complaint.currentStage)
+
+  if (
+    complaint.priority !== COMPLAINT_PRIORITIES.CRITICAL ||
+    !definition ||
+    !definition.dueDateField ||
+    !complaint[definition.dueDateField] ||
+    isClosed(complaint) ||
+    // The deadline of a complaint waiting for the citizen is set again when they reply
+    complaint.status === COMPLAINT_STATUS.AWAITING_CITIZEN
+  ) {
+    return
+  }
+
+  const criticalDueDate = await computeDueDate(complaint.currentStage, now, COMPLAINT_PRIORITIES.CRITICAL)
+
+  if (criticalDueDate < complaint[definition.dueDateField]) {
+    complaint[definition.dueDateField] = criticalDueDate
+  }
+}
+
+module.exports = {
+  PRIORITY_THRESHOLDS,
+  priorityForScore,
+  parseSeverityInputs,
+  assessSeverity,
+  setPriority,
+  shortenDeadlineForCritical,
+}
+
@@ -0,0 +1,124 @@
+const Complaint = require("../models/Complaint")
+const { FINAL_COMPLAINT_STATUSES } = require("../config/constants")
+
+// Complaints older than this are not considered when looking for duplicates
+const DUPLICATE_LOOKBACK_DAYS = 90
+// Cosine similarity at or above which two complaints are reported as likely duplicates
+const DUPLICATE_THRESHOLD = 0.45
+const MAX_MATCHES = 5
+
+// Lowercase, drop punctuation and collapse whitespace. Letters of any script are kept
+// so Amharic text is compared as well as English.
+const normalizeText = (text) =>
+  (text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+
+// Single words plus two-word shingles, so both vocabulary and word order count
+const shingles = (text) => {
+  const words = normalizeText(text)
+    .split(" ")
+    .filter((word) => word.length > 1)
+  const terms = [...words]
+
+  for (let i = 0; i < words.length - 1; i++) {
+    terms.push(`${words[i]} ${words[i + 1]}`)
+  }
+
+  return terms
+}
+
+const termFrequencies = (terms) => {
+  const frequencies = new Map()
+  terms.forEach((term) => frequencies.set(term, (frequencies.get(term) || 0) + 1))
+  return frequencies
+}
+
+// TF-IDF vectors for a set of documents, weighting terms that are rare across the set
+const tfidfVectors = (documents) => {
+  const frequencies = documents.map((document) => termFrequencies(shingles(document)))
+  const documentCounts = new Map()
+
+  frequencies.forEach((terms) => {
+    terms.forEach((count, term) => documentCounts.set(term, (documentCounts.get(term) || 0) + 1))
+  })
+
+  return frequencies.map((terms) => {
+    const vector = new Map()
+
+    terms.forEach((count, term) => {
+      const idf = Math.log((1 + documents.length) / (1 + documentCounts.get(term))) + 1
+      vector.set(term, count * idf)
+    })
+
+    return vector
+  })
+}
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+
+  a.forEach((value, term) => {
+    normA += value * value
+
+    if (b.has(term)) {
+      dot += value * b.get(term)
+    }
+  })
+
+  b.forEach((value) => {
+    normB += value * value
+  })
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+const complaintText = ({ title, description }) => `${title || ""} ${description || ""}`
+
+// Find recent open complaints against the same office and location that read like the given one
+const findSimilarComplaints = async (candidate, { excludeId } = {}) => {
+  const since = new Date(Date.now() - DUPLICATE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000)
+  const query = {
+    stakeholderOffice: candidate.stakeholderOffice,
+    status: { $nin: FINAL_COMPLAINT_STATUSES },
+    submittedAt: { $gte: since },
+  }
+
+  if (candidate.kifleketema && candidate.wereda) {
+    query.kifleketema = candidate.kifleketema
+    query.wereda = candidate.wereda
+  } else if (candidate.location) {
+    query.location = candidate.location
+  }
+
+  if (excludeId) {
+    query._id = { $ne: excludeId }
+  }
+
+  const recent = await Complaint.find(query).select(
+    "_id user isAnonymous title description currentStage status submittedAt relatedComplaint isDuplicate",
+  )
+
+  if (recent.length === 0) {
+    return []
+  }
+
+  const vectors = tfidfVectors([complaintText(candidate), ...recent.map(complaintText)])
+  const [candidateVector, ...recentVectors] = vectors
+
+  return recent
+    .map((complaint, index) => ({
+      complaint,
+      similarity: Math.round(cosineSimilarity(candidateVector, recentVectors[index]) * 100) / 100,
+    }))
+    .filter((match) => match.similarity >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_MATCHES)
+}
+
+module.exports = { normalizeText, findSimilarComplaints }
+
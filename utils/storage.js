@@ -0,0 +1,215 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const { once } = require("events")
+const { Readable, Transform } = require("stream")
+const { pipeline } = require("stream/promises")
+const { S3Client, GetObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3")
+const { Upload } = require("@aws-sdk/lib-storage")
+
+// Prepended to every key, e.g. "uploads/" + "complaints/3f9c..."
+const STORAGE_PREFIX = process.env.STORAGE_PREFIX === undefined ? "uploads/" : process.env.STORAGE_PREFIX
+
+// Files under a directory of this server. Only works while a single API instance runs.
+const createLocalDriver = (root = path.resolve(process.env.STORAGE_LOCAL_ROOT || ".")) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key)
+
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Storage key outside the storage root: ${key}`)
+    }
+
+    return filePath
+  }
+
+  return {
+    name: "local",
+    put: async (key, body) => {
+      const filePath = resolveKey(key)
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      await pipeline(body, fs.createWriteStream(filePath))
+    },
+    get: async (key) => {
+      const stream = fs.createReadStream(resolveKey(key))
+
+      // Surface a missing file here rather than halfway through a response
+      await once(stream, "open")
+      return stream
+    },
+    remove: async (key) => {
+      await fs.promises.unlink(resolveKey(key)).catch((err) => {
+        if (err.code !== "ENOENT") {
+          throw err
+        }
+      })
+    },
+  }
+}
+
+// Objects in an S3-compatible bucket. Set S3_ENDPOINT to use MinIO or another S3-compatible service.
+const createS3Driver = () => {
+  const bucket = process.env.S3_BUCKET
+  const client = new S3Client({
+    region: process.env.S3_REGION || "us-east-1",
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    // MinIO and most self-hosted services only support path-style bucket addressing
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+    credentials:
+      process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+  })
+
+  if (!bucket) {
+    throw new Error("S3_BUCKET must be set to use the s3 storage driver")
+  }
+
+  return {
+    name: "s3",
+    // Multipart upload, so streams of unknown length never sit in memory as a whole
+    put: async (key, body, { contentType } = {}) => {
+      await new Upload({ client, params: { Bucket: bucket, Key: key, Body: body, ContentType: contentType } }).done()
+    },
+    get: async (key) => {
+      const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }))
+      return object.Body
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+    },
+  }
+}
+
+const DRIVERS = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+}
+
+const drivers = {}
+
+// The storage backend with the given name, by default the one configured with STORAGE_DRIVER.
+// Records keep the name of the backend their file was written to, so files can be read during a migration.
+const getStorage = (name = process.env.STORAGE_DRIVER || "local") => {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown storage driver: ${name}`)
+  }
+
+  drivers[name] = drivers[name] || DRIVERS[name]()
+  return drivers[name]
+}
+
+const newKey = (folder) => `${STORAGE_PREFIX}${folder}/${crypto.randomBytes(16).toString("hex")}`
+
+// Stream an upload straight to storage, hashing it on the way
+const storeStream = async (folder, file) => {
+  const storage = getStorage()
+  const key = newKey(folder)
+  const hash = crypto.createHash("sha256")
+  let size = 0
+
+  const measure = new Transform({
+    transform: (chunk, encoding, done) => {
+      hash.update(chunk)
+      size += chunk.length
+      done(null, chunk)
+    },
+  })
+
+  await storage.put(key, file.stream.pipe(measure), { contentType: file.mimetype })
+
+  return { key, storage: storage.name, size, sha256: hash.digest("hex") }
+}
+
+// Errors with a status are answered with it by the error handler in server.js
+const uploadTooLarge = (maxBytes) => {
+  const err = new Error(`Files can be at most ${Math.floor(maxBytes / (1024 * 1024))}MB`)
+  err.status = 413
+  return err
+}
+
+// Read an upload into memory, run it through `processFile` (see utils/uploadProcessing) and store the
+// result together with its derived thumbnail and preview images. Processing needs the whole file, so
+// uploads larger than `maxBytes` are refused before more of them is held in memory.
+const storeProcessed = async (folder, file, processFile, maxBytes) => {
+  const chunks = []
+  let size = 0
+
+  for await (const chunk of file.stream) {
+    size += chunk.length
+
+    if (size > maxBytes) {
+      throw uploadTooLarge(maxBytes)
+    }
+
+    chunks.push(chunk)
+  }
+
+  const { body, mimeType, metadata, derived } = await processFile(Buffer.concat(chunks), file.mimetype)
+  const storage = getStorage()
+  const key = newKey(folder)
+  const derivedKeys = {}
+
+  await storage.put(key, Readable.from([body]), { contentType: mimeType })
+
+  for (const [name, image] of Object.entries(derived)) {
+    derivedKeys[name] = `${key}.${name}`
+    await storage.put(derivedKeys[name], Readable.from([image]), { contentType: "image/jpeg" })
+  }
+
+  return {
+    key,
+    storage: storage.name,
+    // Multer copies this over the declared type, e.g. image/jpg becomes image/jpeg
+    mimetype: mimeType,
+    size: body.length,
+    sha256: crypto.createHash("sha256").update(body).digest("hex"),
+    metadata,
+    derived: derivedKeys,
+  }
+}
+
+// Every key written for an upload
+const storedKeys = (file) => [file.key, ...Object.values(file.derived || {})]
+
+// Multer storage engine saving uploads to the configured backend under `folder`. Adds `key`, `storage`,
+// `size` and `sha256` to each file, and with a `processFile` option also `metadata` and `derived` keys.
+// Processed uploads are held in memory, so they need a `maxBytes` size cap.
+const multerStorage = (folder, { processFile, maxBytes } = {}) => {
+  if (processFile && !maxBytes) {
+    throw new Error("Processed uploads need a maxBytes size cap")
+  }
+
+  return {
+    _handleFile: (req, file, cb) => {
+      const store = processFile ? storeProcessed(folder, file, processFile, maxBytes) : storeStream(folder, file)
+
+      store.then((info) => cb(null, info)).catch(cb)
+    },
+    _removeFile: (req, file, cb) => {
+      Promise.all(storedKeys(file).map((key) => getStorage(file.storage).remove(key)))
+        .then(() => cb(null))
+        .catch(cb)
+    },
+  }
+}
+
+// Delete files uploaded for a request that was rejected
+const discardStoredUploads = async (files) => {
+  for (const file of files || []) {
+    for (const key of storedKeys(file)) {
+      await getStorage(file.storage)
+        .remove(key)
+        .catch(() => {})
+    }
+  }
+}
+
+// Copy one file between backends
+const copyStoredFile = async (key, from, to, contentType) => {
+  const body = await getStorage(from).get(key)
+  await getStorage(to).put(key, body, { contentType })
+}
+
+module.exports = { getStorage, multerStorage, discardStoredUploads, copyStoredFile }
+
@@ -0,0 +1,98 @@
+const Complaint = require("../models/Complaint")
+const BlogPost = require("../models/BlogPost")
+const { copyStoredFile } = require("./storage")
+
+// Records written before backends were recorded have no backend set and live on the local disk
+const backendQuery = (field, from) => ({ [field]: from === "local" ? { $in: ["local", null] } : from })
+
+// Copy every stored file from one backend to another and point its record at the copy.
+// Files are copied one at a time and the source is left in place, so the job can be stopped and rerun.
+// Returns the number of files copied and failed.
+const migrateStoredFiles = async (from, to) => {
+  const result = { copied: 0, failed: 0 }
+
+  const copy = async (key, contentType, update) => {
+    try {
+      await copyStoredFile(key, from, to, contentType)
+      await update()
+      result.copied += 1
+    } catch (err) {
+      console.error(`Storage migration error for ${key}:`, err)
+      result.failed += 1
+    }
+  }
+
+  // Complaint attachments and the evidence attached to responses and directives
+  const complaints = Complaint.find({
+    $or: [
+      backendQuery("attachments.storageBackend", from),
+      backendQuery("responses.attachments.storageBackend", from),
+      backendQuery("directives.evidence.storageBackend", from),
+    ],
+  })
+    .select("attachments responses._id responses.attachments directives._id directives.evidence")
+    .cursor()
+
+  const copyAttachment = (attachment, updateRecord) =>
+    copy(attachment.storageKey, attachment.mimeType, async () => {
+      // The record only moves once its thumbnail and preview have been copied too
+      for (const key of [attachment.thumbnailKey, attachment.previewKey].filter(Boolean)) {
+        await copyStoredFile(key, from, to, "image/jpeg")
+      }
+
+      await updateRecord()
+    })
+
+  const isOnSource = (attachment) => (attachment.storageBackend || "local") === from
+
+  for await (const complaint of complaints) {
+    // Positional updates: saving the complaint would touch updatedAt and rerun its save hooks
+    for (const attachment of complaint.attachments.filter(isOnSource)) {
+      await copyAttachment(attachment, () =>
+        Complaint.updateOne(
+          { _id: complaint._id, "attachments._id": attachment._id },
+          { $set: { "attachments.$.storageBackend": to } },
+        ),
+      )
+    }
+
+    for (const response of complaint.responses) {
+      for (const attachment of response.attachments.filter(isOnSource)) {
+        await copyAttachment(attachment, () =>
+          Complaint.updateOne(
+            { _id: complaint._id },
+            { $set: { "responses.$[response].attachments.$[attachment].storageBackend": to } },
+            { arrayFilters: [{ "response._id": response._id }, { "attachment._id": attachment._id }] },
+          ),
+        )
+      }
+    }
+
+    for (const directive of complaint.directives) {
+      for (const attachment of directive.evidence.filter(isOnSource)) {
+        await copyAttachment(attachment, () =>
+          Complaint.updateOne(
+            { _id: complaint._id },
+            { $set: { "directives.$[directive].evidence.$[attachment].storageBackend": to } },
+            { arrayFilters: [{ "directive._id": directive._id }, { "attachment._id": attachment._id }] },
+          ),
+        )
+      }
+    }
+  }
+
+  const blogPosts = BlogPost.find({ featuredImage: { $ne: null }, ...backendQuery("featuredImageStorage", from) })
+    .select("featuredImage featuredImageType")
+    .cursor()
+
+  for await (const blogPost of blogPosts) {
+    await copy(blogPost.featuredImage, blogPost.featuredImageType, () =>
+      BlogPost.updateOne({ _id: blogPost._id }, { $set: { featuredImageStorage: to } }),
+    )
+  }
+
+  return result
+}
+
+module.exports = { migrateStoredFiles }
+
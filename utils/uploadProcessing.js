@@ -0,0 +1,124 @@
+const sharp = require("sharp")
+
+// Longest side of the thumbnails shown in complaint lists, and width of the larger previews
+const THUMBNAIL_SIZE = 320
+const PREVIEW_WIDTH = 1280
+
+// Types browsers and phones declare for the same formats
+const MIME_ALIASES = {
+  "image/jpg": "image/jpeg",
+  "image/pjpeg": "image/jpeg",
+  "image/x-png": "image/png",
+}
+
+const startsWith = (buffer, hex) => buffer.subarray(0, hex.length / 2).equals(Buffer.from(hex, "hex"))
+
+// How the content of each accepted file type begins
+const SIGNATURES = {
+  "image/jpeg": (buffer) => startsWith(buffer, "ffd8ff"),
+  "image/png": (buffer) => startsWith(buffer, "89504e470d0a1a0a"),
+  "image/gif": (buffer) => ["GIF87a", "GIF89a"].includes(buffer.subarray(0, 6).toString("latin1")),
+  // The header may follow a few bytes of junk, which readers accept
+  "application/pdf": (buffer) => buffer.subarray(0, 1024).includes("%PDF-"),
+  "application/msword": (buffer) => startsWith(buffer, "d0cf11e0a1b11ae1"),
+  // A zip archive holding a word/ folder
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": (buffer) =>
+    startsWith(buffer, "504b0304") && buffer.includes("word/"),
+}
+
+// Errors with a status are answered with it by the error handler in server.js
+const rejectUpload = (message) => {
+  const err = new Error(message)
+  err.status = 400
+  return err
+}
+
+const toJpeg = (input, resize) => sharp(input).resize(resize).flatten({ background: "#ffffff" }).jpeg().toBuffer()
+
+// Downscaled JPEG copies of an image for the dashboard
+const createDerivedImages = async (input) => ({
+  thumbnail: await toJpeg(input, { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: "inside" }),
+  preview: await toJpeg(input, { width: PREVIEW_WIDTH, withoutEnlargement: true }),
+})
+
+// Re-encode an image. Sharp drops all metadata when encoding, which removes the GPS position,
+// camera serial numbers and any other EXIF data that could identify the reporter.
+const processImage = async (buffer, mimeType) => {
+  let body
+
+  try {
+    if (mimeType === "image/gif") {
+      body = await sharp(buffer, { animated: true }).gif().toBuffer()
+    } else {
+      // Apply the EXIF orientation first, since the orientation tag goes with the rest of the metadata
+      const image = sharp(buffer).rotate()
+      body = await (mimeType === "image/png" ? image.png() : image.jpeg({ quality: 85 })).toBuffer()
+    }
+  } catch (err) {
+    throw rejectUpload("The image could not be read")
+  }
+
+  const { width, height } = await sharp(body).metadata()
+
+  return { body, mimeType, metadata: { width, height }, derived: await createDerivedImages(body) }
+}
+
+// Count the pages of a PDF and render its first page as a preview
+const processPdf = async (buffer, mimeType) => {
+  // MuPDF is only published as an ES module
+  const mupdf = await import("mupdf")
+  let document
+
+  try {
+    document = mupdf.Document.openDocument(buffer, mimeType)
+  } catch (err) {
+    throw rejectUpload("The PDF could not be read")
+  }
+
+  // Password protected PDFs are kept, but cannot be previewed
+  if (document.needsPassword()) {
+    return { body: buffer, mimeType, metadata: {}, derived: {} }
+  }
+
+  const pageCount = document.countPages()
+
+  if (pageCount === 0) {
+    throw rejectUpload("The PDF has no pages")
+  }
+
+  const firstPage = document
+    .loadPage(0)
+    .toPixmap(mupdf.Matrix.scale(1.5, 1.5), mupdf.ColorSpace.DeviceRGB, false, true)
+    .asPNG()
+
+  return { body: buffer, mimeType, metadata: { pageCount }, derived: await createDerivedImages(Buffer.from(firstPage)) }
+}
+
+// Check that an upload's content matches its declared type and prepare it for storage.
+// Returns { body, mimeType, metadata, derived }: the file to store, details such as dimensions or
+// page count, and JPEG thumbnail and preview buffers where the file can be pictured.
+const processUpload = async (buffer, declaredType) => {
+  const mimeType = MIME_ALIASES[declaredType] || declaredType
+  const matches = SIGNATURES[mimeType]
+
+  if (!matches) {
+    throw rejectUpload(`Files of type ${declaredType} are not allowed`)
+  }
+
+  if (!matches(buffer)) {
+    throw rejectUpload(`The content of the file does not match its type ${declaredType}`)
+  }
+
+  if (mimeType.startsWith("image/")) {
+    return processImage(buffer, mimeType)
+  }
+
+  if (mimeType === "application/pdf") {
+    return processPdf(buffer, mimeType)
+  }
+
+  return { body: buffer, mimeType, metadata: {}, derived: {} }
+}
+
+module.exports = { processUpload }
+
@@ -0,0 +1,157 @@
+const Holiday = require("../models/Holiday")
+const { WORKING_CALENDAR, FIXED_PUBLIC_HOLIDAYS, ETHIOPIAN_CALENDAR_HOLIDAYS } = require("../config/constants")
+
+const MINUTE = 60 * 1000
+const DAY = 24 * 60 * MINUTE
+const UTC_OFFSET = WORKING_CALENDAR.UTC_OFFSET_MINUTES * MINUTE
+
+// "08:30" -> minutes after midnight
+const parseTime = (value) => {
+  const [hours, minutes] = value.split(":").map(Number)
+  return hours * 60 + minutes
+}
+
+const OPEN_MINUTES = parseTime(WORKING_CALENDAR.OFFICE_HOURS.START)
+const CLOSE_MINUTES = parseTime(WORKING_CALENDAR.OFFICE_HOURS.END)
+const WORKING_MINUTES_PER_DAY = CLOSE_MINUTES - OPEN_MINUTES
+
+// Local calendar day (YYYY-MM-DD) of an instant
+const toLocalDateKey = (date) => new Date(date.getTime() + UTC_OFFSET).toISOString().slice(0, 10)
+
+// The instant local midnight starts on the day containing the given instant
+const startOfLocalDay = (date) => {
+  const local = new Date(date.getTime() + UTC_OFFSET)
+  local.setUTCHours(0, 0, 0, 0)
+  return new Date(local.getTime() - UTC_OFFSET)
+}
+
+const localDayOfWeek = (date) => new Date(date.getTime() + UTC_OFFSET).getUTCDay()
+
+const isGregorianLeapYear = (year) => (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0
+
+// Whether the Ethiopian year starting in September of a Gregorian year follows an Ethiopian leap year.
+// It does when the next Gregorian year is a leap year, and then starts on September 12 instead of the 11th.
+// Holds from 1900 to 2099.
+const followsEthiopianLeapYear = (year) => isGregorianLeapYear(year + 1)
+
+// Gregorian dates (YYYY-MM-DD) of the holidays that fall in a year: the fixed ones, and the Ethiopian
+// calendar ones of the Ethiopian years starting the September before and the September of that year
+const calendarHolidaysForYear = (year) => {
+  const fixed = FIXED_PUBLIC_HOLIDAYS.map(({ name, monthDay }) => ({ name, date: `${year}-${monthDay}` }))
+
+  const ethiopian = [year - 1, year].flatMap((startYear) => {
+    const afterLeapYear = followsEthiopianLeapYear(startYear)
+    const newYear = Date.UTC(startYear, 8, afterLeapYear ? 12 : 11)
+
+    return ETHIOPIAN_CALENDAR_HOLIDAYS.map(({ name, month, day, dayAfterLeapYear }) => {
+      const dayOfYear = (month - 1) * 30 + (afterLeapYear && dayAfterLeapYear ? dayAfterLeapYear : day) - 1
+      return { name, date: new Date(newYear + dayOfYear * DAY).toISOString().slice(0, 10) }
+    })
+  })
+
+  return [...fixed, ...ethiopian.filter(({ date }) => date.startsWith(`${year}-`))]
+}
+
+// Holidays between two instants, keyed by local date, combining calendar and stored holidays
+const getHolidayMap = async (from, to) => {
+  const fromKey = toLocalDateKey(from)
+  const toKey = toLocalDateKey(to)
+  const holidays = new Map()
+
+  for (let year = Number(fromKey.slice(0, 4)); year <= Number(toKey.slice(0, 4)); year++) {
+    calendarHolidaysForYear(year).forEach(({ name, date }) => {
+      if (date >= fromKey && date <= toKey) {
+        holidays.set(date, name)
+      }
+    })
+  }
+
+  const stored = await Holiday.find({ date: { $gte: fromKey, $lte: toKey } })
+  stored.forEach((holiday) => holidays.set(holiday.date, holiday.name))
+
+  return holidays
+}
+
+// All holidays of a year, fixed and stored, sorted by date
+const getHolidaysForYear = async (year) => {
+  const fixed = calendarHolidaysForYear(year).map((holiday) => ({ ...holiday, isFixed: true }))
+
+  const stored = await Holiday.find({ date: { $gte: `${year}-01-01`, $lte: `${year}-12-31` } }).lean()
+
+  return [...fixed, ...stored].sort((a, b) => a.date.localeCompare(b.date))
+}
+
+const isWorkingDay = (dayStart, holidays) =>
+  WORKING_CALENDAR.WORKING_DAYS.includes(localDayOfWeek(dayStart)) && !holidays.has(toLocalDateKey(dayStart))
+
+// Add working time to an instant. Only office hours on working days that are not public
+// holidays count, so a complaint filed on Friday evening starts its clock on Monday morning.
+const addWorkingMinutes = async (from, minutes) => {
+  // A year ahead is far more than any response timeframe needs
+  const holidays = await getHolidayMap(from, new Date(from.getTime() + 366 * DAY))
+  let remaining = minutes
+  let dayStart = startOfLocalDay(from)
+  let cursor = from
+
+  for (let i = 0; i < 366; i++) {
+    if (isWorkingDay(dayStart, holidays)) {
+      const open = dayStart.getTime() + OPEN_MINUTES * MINUTE
+      const close = dayStart.getTime() + CLOSE_MINUTES * MINUTE
+      const start = Math.max(cursor.getTime(), open)
+
+      if (start < close) {
+        const available = (close - start) / MINUTE
+
+        if (remaining <= available) {
+          return new Date(start + remaining * MINUTE)
+        }
+
+        remaining -= available
+      }
+    }
+
+    dayStart = new Date(dayStart.getTime() + DAY)
+    cursor = dayStart
+  }
+
+  // Only reachable if the calendar has no working days at all
+  return new Date(from.getTime() + minutes * MINUTE)
+}
+
+const addWorkingDays = (from, days) => addWorkingMinutes(from, days * WORKING_MINUTES_PER_DAY)
+
+// Working minutes between two instants; negative when `to` is before `from`
+const workingMinutesBetween = async (from, to) => {
+  if (to < from) {
+    return -(await workingMinutesBetween(to, from))
+  }
+
+  const holidays = await getHolidayMap(from, to)
+  let total = 0
+  let dayStart = startOfLocalDay(from)
+
+  while (dayStart < to) {
+    if (isWorkingDay(dayStart, holidays)) {
+      const open = Math.max(dayStart.getTime() + OPEN_MINUTES * MINUTE, from.getTime())
+      const close = Math.min(dayStart.getTime() + CLOSE_MINUTES * MINUTE, to.getTime())
+
+      if (open < close) {
+        total += (close - open) / MINUTE
+      }
+    }
+
+    dayStart = new Date(dayStart.getTime() + DAY)
+  }
+
+  return Math.round(total)
+}
+
+module.exports = {
+  WORKING_MINUTES_PER_DAY,
+  toLocalDateKey,
+  getHolidaysForYear,
+  addWorkingMinutes,
+  addWorkingDays,
+  workingMinutesBetween,
+}
+